@@ -0,0 +1,41 @@
+// Usage: npm run add-item-ids
+// Gives list entries of resumes saved before item ids existed their id, so
+// PATCH section operations can address them. Safe to run more than once.
+import { connectDB, getDB } from "../src/config/db.js";
+import { ITEM_SECTIONS } from "../src/schemas/portfolio.schema.js";
+import {
+  withItemIds,
+  atRevision,
+  revisionOf,
+  bumpRevision,
+} from "../src/services/portfolio.service.js";
+
+await connectDB();
+
+const portfolios = getDB().collection("portfolios");
+
+const missingIds = {
+  $or: ITEM_SECTIONS.map((section) => ({
+    [section]: { $elemMatch: { id: { $exists: false } } },
+  })),
+};
+
+let updated = 0;
+for await (const portfolio of portfolios.find(missingIds)) {
+  const $set = {};
+  const withIds = withItemIds(portfolio);
+  for (const section of ITEM_SECTIONS) {
+    const changed = withIds[section]?.some((item, i) => item !== portfolio[section][i]);
+    if (changed) $set[section] = withIds[section];
+  }
+
+  // Skipped if the resume is saved meanwhile; that save assigns ids itself
+  const { modifiedCount } = await portfolios.updateOne(
+    { _id: portfolio._id, ...atRevision(revisionOf(portfolio)) },
+    { $set, $inc: bumpRevision }
+  );
+  updated += modifiedCount;
+}
+
+console.log(`✅ Added item ids to ${updated} resume(s)`);
+process.exit(0);
@@ -0,0 +1,25 @@
+// Usage: npm run set-role -- <email> <user|reviewer|admin>
+// Bootstraps the first admin; after that use PATCH /admin/users/:id/role.
+import { connectDB, getDB } from "../src/config/db.js";
+import { isValidRole, ROLES } from "../src/config/roles.js";
+
+const [email, role] = process.argv.slice(2);
+
+if (!email || !isValidRole(role)) {
+  console.error(`Usage: npm run set-role -- <email> <${ROLES.join("|")}>`);
+  process.exit(1);
+}
+
+await connectDB();
+
+const { matchedCount } = await getDB()
+  .collection("users")
+  .updateOne({ email }, { $set: { role, updatedAt: new Date() } });
+
+if (!matchedCount) {
+  console.error(`❌ No user with email ${email}`);
+  process.exit(1);
+}
+
+console.log(`✅ ${email} is now ${role}`);
+process.exit(0);
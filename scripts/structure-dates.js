@@ -0,0 +1,76 @@
+// Usage: npm run structure-dates
+// Fills start / end / current of experience entries saved before structured
+// dates existed from their free-text `duration`: a date range ("Mar 2019 -
+// Present", "2016 to 2018") as written, a number of years ("2", "1.5 years")
+// as that many years up to the resume's last save. Other text ("6 months at
+// Acme") is left as it is. Safe to run more than once.
+import { connectDB, getDB } from "../src/config/db.js";
+import {
+  atRevision,
+  revisionOf,
+  bumpRevision,
+} from "../src/services/portfolio.service.js";
+import { parseDateRange } from "../src/utils/resumeDates.js";
+
+const YEARS = /^(\d+(?:\.\d+)?)\s*(?:years?|yrs?)?$/i;
+
+// "2" → the two years before `until`, the best guess a bare length allows
+function rangeFromYears(text, until) {
+  const years = Number(String(text).trim().match(YEARS)?.[1]);
+  if (!years) return null;
+
+  const endMonth = until.getUTCFullYear() * 12 + until.getUTCMonth();
+  const startMonth = endMonth - Math.round(years * 12) + 1;
+  const point = (index) => ({ year: Math.floor(index / 12), month: (index % 12) + 1 });
+
+  return { start: point(startMonth), end: point(endMonth), current: false };
+}
+
+await connectDB();
+
+const portfolios = getDB().collection("portfolios");
+
+const undated = {
+  experience: {
+    $elemMatch: { duration: { $type: "string", $ne: "" }, start: null },
+  },
+};
+
+let updated = 0;
+let parsed = 0;
+let unparsed = 0;
+
+for await (const portfolio of portfolios.find(undated)) {
+  let changed = false;
+
+  const experience = portfolio.experience.map((item) => {
+    if (!item?.duration || item.start) return item;
+
+    const range =
+      parseDateRange(item.duration) ||
+      rangeFromYears(item.duration, portfolio.updatedAt || portfolio.createdAt || new Date());
+    if (!range) {
+      unparsed++;
+      return item;
+    }
+
+    parsed++;
+    changed = true;
+    // `duration` is kept; it is no longer shown once there is a start
+    return { ...item, ...range };
+  });
+  if (!changed) continue;
+
+  // Skipped if the resume is saved meanwhile; run the script again
+  const { modifiedCount } = await portfolios.updateOne(
+    { _id: portfolio._id, ...atRevision(revisionOf(portfolio)) },
+    { $set: { experience }, $inc: bumpRevision }
+  );
+  updated += modifiedCount;
+}
+
+console.log(`✅ Structured ${parsed} experience date(s) in ${updated} resume(s)`);
+if (unparsed) {
+  console.log(`ℹ️ ${unparsed} duration(s) hold no dates or years and were left as text`);
+}
+process.exit(0);
@@ -1,14 +1,21 @@
 import express from "express";
 import cors from "cors";
-import { FRONTEND_ORIGIN } from "./config/env.js";
+import { FRONTEND_ORIGIN, TRUST_PROXY } from "./config/env.js";
 
 import authRoutes from "./routes/auth.routes.js";
 import aiRoutes from "./routes/ai.routes.js";
 import portfolioRoutes from "./routes/portfolio.routes.js";
 import pdfRoutes from "./routes/pdf.routes.js";
+import adminRoutes from "./routes/admin.routes.js";
+import publicRoutes from "./routes/public.routes.js";
+import jobApplicationRoutes from "./routes/jobApplication.routes.js";
+import coverLetterRoutes from "./routes/coverLetter.routes.js";
 
 const app = express();
 
+// Needed for req.ip (rate limiting) behind Render's proxy
+app.set("trust proxy", TRUST_PROXY);
+
 app.use(express.json({ limit: "2mb" }));
 
 const allowedOrigins = [
@@ -25,7 +32,8 @@ app.use(cors({
       callback(new Error("Not allowed by CORS"));
     }
   },
-  credentials: true
+  credentials: true,
+  exposedHeaders: ["ETag"]
 }));
 
 
@@ -33,6 +41,10 @@ app.use("/auth", authRoutes);
 app.use("/ai", aiRoutes);
 app.use("/portfolio", portfolioRoutes);
 app.use("/pdf", pdfRoutes);
+app.use("/admin", adminRoutes);
+app.use("/p", publicRoutes);
+app.use("/applications", jobApplicationRoutes);
+app.use("/cover-letters", coverLetterRoutes);
 
 app.get("/", (_, res) =>
   res.json({ ok: true, message: "🚀 AI Resume Builder Backend Running" })
@@ -8,3 +8,66 @@ export const {
   GOOGLE_API_KEY,
   FRONTEND_ORIGIN,
 } = process.env;
+
+// 🔹 Auth sessions
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+export const REFRESH_TOKEN_TTL_DAYS =
+  Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// 🔹 Links in emails point at the frontend
+export const APP_URL =
+  process.env.APP_URL || FRONTEND_ORIGIN || "http://localhost:3000";
+
+export const PASSWORD_RESET_TTL_MINUTES =
+  Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// 🔹 Mail ("smtp" | "file" | "console")
+// Production must name its driver, so mail never lands on disk by accident
+if (process.env.NODE_ENV === "production" && !process.env.MAIL_DRIVER) {
+  throw new Error("MAIL_DRIVER must be set in production");
+}
+export const MAIL_DRIVER =
+  process.env.MAIL_DRIVER || (process.env.SMTP_HOST ? "smtp" : "file");
+export const MAIL_FROM =
+  process.env.MAIL_FROM || "AI Resume Builder <no-reply@localhost>";
+export const MAIL_DIR = process.env.MAIL_DIR || "tmp/mail";
+export const { SMTP_HOST, SMTP_USER, SMTP_PASS } = process.env;
+export const SMTP_PORT = Number(process.env.SMTP_PORT) || 587;
+export const SMTP_SECURE = process.env.SMTP_SECURE === "true";
+
+// 🔹 Email verification
+export const EMAIL_VERIFICATION_TTL =
+  process.env.EMAIL_VERIFICATION_TTL || "24h";
+
+// Actions an account with an unverified email may not perform
+export const UNVERIFIED_BLOCKED_ACTIONS = (
+  process.env.UNVERIFIED_BLOCKED_ACTIONS ?? "pdf:export,portfolio:publish"
+)
+  .split(",")
+  .map((a) => a.trim())
+  .filter(Boolean);
+
+// 🔹 Rate limiting ("memory" | "mongo"; use mongo when running >1 instance)
+export const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory";
+
+// Proxy hops in front of the app (Render has one) so req.ip is the client
+export const TRUST_PROXY =
+  process.env.TRUST_PROXY !== undefined
+    ? Number(process.env.TRUST_PROXY)
+    : process.env.RENDER
+      ? 1
+      : 0;
+
+// 🔹 Two-factor authentication
+export const TOTP_ISSUER = process.env.TOTP_ISSUER || "AI Resume Builder";
+
+// 🔹 Trash: deleted resumes are purged after this many days
+export const TRASH_RETENTION_DAYS =
+  Number(process.env.TRASH_RETENTION_DAYS) || 30;
+export const TRASH_SWEEP_INTERVAL_MINUTES =
+  Number(process.env.TRASH_SWEEP_INTERVAL_MINUTES) || 60;
+
+// 🔹 Account data exports (download links point at this API)
+export const API_URL = process.env.API_URL || `http://localhost:${PORT || 4000}`;
+export const EXPORT_DIR = process.env.EXPORT_DIR || "tmp/exports";
+export const EXPORT_TTL_HOURS = Number(process.env.EXPORT_TTL_HOURS) || 24;
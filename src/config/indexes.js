@@ -0,0 +1,66 @@
+import { getDB } from "./db.js";
+
+export async function ensureIndexes() {
+  const db = getDB();
+
+  await db.collection("sessions").createIndexes([
+    { key: { userId: 1 } },
+    // Mongo drops sessions once their refresh token has expired
+    { key: { expiresAt: 1 }, expireAfterSeconds: 0 },
+  ]);
+
+  await db.collection("password_resets").createIndexes([
+    { key: { tokenHash: 1 }, unique: true },
+    { key: { userId: 1 } },
+    { key: { expiresAt: 1 }, expireAfterSeconds: 0 },
+  ]);
+
+  await db.collection("access_tokens").createIndexes([
+    { key: { tokenHash: 1 }, unique: true },
+    { key: { userId: 1 } },
+  ]);
+
+  await db.collection("portfolios").createIndexes([
+    { key: { userId: 1, createdAt: -1 } },
+    { key: { userId: 1, updatedAt: -1 } },
+    { key: { userId: 1, tags: 1 } },
+    { key: { deletedAt: 1 }, sparse: true },
+    { key: { baseId: 1 }, sparse: true },
+    {
+      key: { publicSlug: 1 },
+      unique: true,
+      partialFilterExpression: { publicSlug: { $type: "string" } },
+    },
+  ]);
+
+  await db.collection("portfolio_versions").createIndexes([
+    { key: { portfolioId: 1, version: -1 }, unique: true },
+    { key: { userId: 1 } },
+  ]);
+
+  await db.collection("job_applications").createIndexes([
+    { key: { userId: 1, updatedAt: -1 } },
+    { key: { userId: 1, status: 1 } },
+    { key: { userId: 1, portfolioId: 1 }, sparse: true },
+  ]);
+
+  await db.collection("cover_letters").createIndexes([
+    { key: { userId: 1, updatedAt: -1 } },
+    { key: { userId: 1, portfolioId: 1 } },
+  ]);
+
+  await db.collection("data_exports").createIndexes([
+    { key: { userId: 1, createdAt: -1 } },
+    { key: { status: 1, createdAt: 1 } },
+  ]);
+
+  await db.collection("usage_events").createIndex({ userId: 1, type: 1, at: -1 });
+
+  await db.collection("users").createIndex({ role: 1 });
+
+  // Only used when RATE_LIMIT_STORE=mongo
+  await db.collection("rate_limits").createIndex(
+    { resetAt: 1 },
+    { expireAfterSeconds: 0 }
+  );
+}
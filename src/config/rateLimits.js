@@ -0,0 +1,39 @@
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Per-route policies for the rateLimit middleware.
+ * keyBy: which identities get their own counter ("ip", "email", "user").
+ */
+export const RATE_LIMITS = {
+  login: { name: "login", windowMs: 15 * MINUTE, max: 20, keyBy: ["ip"] },
+
+  // Endpoints that send mail: throttle per address as well
+  authEmail: {
+    name: "auth-email",
+    windowMs: HOUR,
+    max: 5,
+    keyBy: ["ip", "email"],
+  },
+
+  // Token exchanges (refresh, reset, verify)
+  authToken: { name: "auth-token", windowMs: 15 * MINUTE, max: 30, keyBy: ["ip"] },
+
+  ai: { name: "ai", windowMs: HOUR, max: 30, keyBy: ["user", "ip"] },
+
+  publicPage: { name: "public", windowMs: MINUTE, max: 60, keyBy: ["ip"] },
+
+  pdf: { name: "pdf", windowMs: HOUR, max: 20, keyBy: ["user", "ip"] },
+
+  // Full account exports render every resume, so they are rare and expensive
+  dataExport: { name: "data-export", windowMs: DAY, max: 3, keyBy: ["user"] },
+};
+
+// Progressive lockout after repeated failed logins for one email
+export const LOGIN_LOCKOUT = {
+  freeAttempts: 5, // failures allowed before the first lock
+  baseLockMs: MINUTE, // doubled for each further failure
+  maxLockMs: HOUR,
+  failureWindowMs: DAY, // failures older than this are forgotten
+};
@@ -0,0 +1,8 @@
+export const ROLES = ["user", "reviewer", "admin"];
+
+export const DEFAULT_ROLE = "user";
+
+// Users created before roles existed have no field
+export const roleOf = (user) => user?.role || DEFAULT_ROLE;
+
+export const isValidRole = (role) => ROLES.includes(role);
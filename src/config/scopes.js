@@ -0,0 +1,12 @@
+// Scopes a personal access token can be granted
+export const TOKEN_SCOPES = {
+  "portfolio:read": "Read resumes",
+  "portfolio:write": "Create, update and delete resumes",
+  "pdf:export": "Export resumes as PDF",
+  "ai:generate": "Generate AI summaries",
+  "applications:read": "Read job applications",
+  "applications:write": "Track, update and delete job applications",
+};
+
+export const isValidScope = (scope) =>
+  Object.prototype.hasOwnProperty.call(TOKEN_SCOPES, scope);
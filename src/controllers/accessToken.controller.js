@@ -0,0 +1,97 @@
+import { isValidScope, TOKEN_SCOPES } from "../config/scopes.js";
+import {
+  countAccessTokens,
+  createAccessToken,
+  listAccessTokens,
+  revokeAccessToken,
+} from "../services/accessToken.service.js";
+
+const MAX_TOKENS_PER_USER = 20;
+const MAX_NAME_LENGTH = 60;
+const MAX_EXPIRY_DAYS = 365;
+
+// ==============================
+// 🔹 GET /auth/tokens
+// ==============================
+export async function listTokens(req, res) {
+  try {
+    const tokens = await listAccessTokens(req.user.id);
+    res.json({ tokens, availableScopes: TOKEN_SCOPES });
+  } catch (err) {
+    console.error("❌ List tokens error:", err.message);
+    res.status(500).json({ error: "Failed to fetch tokens" });
+  }
+}
+
+// ==============================
+// 🔹 POST /auth/tokens — { name, scopes, expiresInDays? }
+// ==============================
+export async function createToken(req, res) {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ error: "Token name is required" });
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+      return res.status(400).json({ error: "Token name is too long" });
+    }
+
+    if (!Array.isArray(scopes) || !scopes.length) {
+      return res.status(400).json({ error: "At least one scope is required" });
+    }
+    const unknown = scopes.filter((s) => !isValidScope(s));
+    if (unknown.length) {
+      return res
+        .status(400)
+        .json({ error: `Unknown scopes: ${unknown.join(", ")}` });
+    }
+
+    if (
+      expiresInDays !== undefined &&
+      expiresInDays !== null &&
+      !(
+        Number.isInteger(expiresInDays) &&
+        expiresInDays >= 1 &&
+        expiresInDays <= MAX_EXPIRY_DAYS
+      )
+    ) {
+      return res.status(400).json({
+        error: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`,
+      });
+    }
+
+    if ((await countAccessTokens(req.user.id)) >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({
+        error: `You can have at most ${MAX_TOKENS_PER_USER} tokens`,
+      });
+    }
+
+    const { token, record } = await createAccessToken(req.user.id, {
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      expiresInDays,
+    });
+
+    // The token itself is shown only in this response
+    res.json({ success: true, token, ...record });
+  } catch (err) {
+    console.error("❌ Create token error:", err.message);
+    res.status(500).json({ error: "Failed to create token" });
+  }
+}
+
+// ==============================
+// 🔹 DELETE /auth/tokens/:id
+// ==============================
+export async function revokeToken(req, res) {
+  try {
+    const revoked = await revokeAccessToken(req.user.id, req.params.id);
+    if (!revoked) return res.status(404).json({ error: "Token not found" });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Revoke token error:", err.message);
+    res.status(500).json({ error: "Failed to revoke token" });
+  }
+}
@@ -0,0 +1,165 @@
+import bcrypt from "bcryptjs";
+import { getDB } from "../config/db.js";
+import { revokeAllSessions } from "../services/session.service.js";
+import { revokeAllAccessTokens } from "../services/accessToken.service.js";
+import { sendVerificationMail } from "../services/emailVerification.service.js";
+import { deleteAccount } from "../services/account.service.js";
+import { passwordError } from "../utils/password.js";
+import { toObjectId } from "../utils/objectId.js";
+import { toPublicUser } from "../utils/publicUser.js";
+
+const MAX_NAME_LENGTH = 100;
+
+const findCurrentUser = (req) =>
+  getDB().collection("users").findOne({ _id: toObjectId(req.user.id) });
+
+// ==============================
+// 🔹 GET /auth/me
+// ==============================
+export async function getMe(req, res) {
+  try {
+    const user = await findCurrentUser(req);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    res.json(toPublicUser(user));
+  } catch (err) {
+    console.error("❌ Get profile error:", err.message);
+    res.status(500).json({ error: "Failed to fetch profile" });
+  }
+}
+
+// ==============================
+// 🔹 PATCH /auth/me — name, email
+// ==============================
+export async function updateMe(req, res) {
+  try {
+    const { name, email, currentPassword } = req.body;
+    const users = getDB().collection("users");
+
+    const user = await findCurrentUser(req);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const changes = {};
+
+    if (name !== undefined) {
+      if (typeof name !== "string" || !name.trim()) {
+        return res.status(400).json({ error: "Name cannot be empty" });
+      }
+      if (name.trim().length > MAX_NAME_LENGTH) {
+        return res.status(400).json({ error: "Name is too long" });
+      }
+      changes.name = name.trim();
+    }
+
+    const emailChanged = email !== undefined && email !== user.email;
+    if (emailChanged) {
+      if (typeof email !== "string" || !email.includes("@")) {
+        return res.status(400).json({ error: "Invalid email" });
+      }
+
+      // Changing the login email needs the password
+      const valid =
+        typeof currentPassword === "string" &&
+        (await bcrypt.compare(currentPassword, user.password));
+      if (!valid) {
+        return res.status(400).json({ error: "Current password is incorrect" });
+      }
+
+      const taken = await users.findOne({ email, _id: { $ne: user._id } });
+      if (taken) return res.status(400).json({ error: "Email already in use" });
+
+      changes.email = email;
+      changes.verified = false;
+      changes.emailVerifiedAt = null;
+    }
+
+    if (!Object.keys(changes).length) {
+      return res.json(toPublicUser(user));
+    }
+
+    changes.updatedAt = new Date();
+    await users.updateOne({ _id: user._id }, { $set: changes });
+
+    const updated = { ...user, ...changes };
+
+    if (emailChanged) {
+      try {
+        await sendVerificationMail(updated);
+      } catch (err) {
+        console.error("❌ Verification mail error:", err.message);
+      }
+    }
+
+    res.json(toPublicUser(updated));
+  } catch (err) {
+    console.error("❌ Update profile error:", err.message);
+    res.status(500).json({ error: "Failed to update profile" });
+  }
+}
+
+// ==============================
+// 🔹 POST /auth/change-password
+// ==============================
+export async function changePassword(req, res) {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const invalid = passwordError(newPassword);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const user = await findCurrentUser(req);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const valid =
+      typeof currentPassword === "string" &&
+      (await bcrypt.compare(currentPassword, user.password));
+    if (!valid) {
+      return res.status(400).json({ error: "Current password is incorrect" });
+    }
+
+    const hashed = await bcrypt.hash(newPassword, 10);
+    await getDB().collection("users").updateOne(
+      { _id: user._id },
+      { $set: { password: hashed, passwordChangedAt: new Date() } }
+    );
+
+    // Everyone else holding this account's tokens gets logged out
+    const revoked = await revokeAllSessions(user._id, { except: req.user.sid });
+    const revokedTokens = await revokeAllAccessTokens(user._id);
+
+    res.json({
+      success: true,
+      revokedSessions: revoked,
+      revokedAccessTokens: revokedTokens,
+    });
+  } catch (err) {
+    console.error("❌ Change password error:", err.message);
+    res.status(500).json({ error: "Failed to change password" });
+  }
+}
+
+// ==============================
+// 🔹 DELETE /auth/me — account and all owned data
+// ==============================
+export async function deleteMe(req, res) {
+  try {
+    const { password } = req.body || {};
+
+    const user = await findCurrentUser(req);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const valid =
+      typeof password === "string" &&
+      (await bcrypt.compare(password, user.password));
+    if (!valid) {
+      return res.status(400).json({ error: "Password is incorrect" });
+    }
+
+    const removed = await deleteAccount(user._id);
+
+    res.json({ success: true, removed });
+  } catch (err) {
+    console.error("❌ Delete account error:", err.message);
+    res.status(500).json({ error: "Failed to delete account" });
+  }
+}
@@ -0,0 +1,240 @@
+import { ObjectId } from "mongodb";
+import { getDB } from "../config/db.js";
+import { isValidRole } from "../config/roles.js";
+import { revokeAllSessions } from "../services/session.service.js";
+import { revokeAllAccessTokens } from "../services/accessToken.service.js";
+import { usageByUser } from "../services/usage.service.js";
+import { ownedBy } from "../services/account.service.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import { toAdminUser } from "../utils/publicUser.js";
+import { parsePagination, pageInfo } from "../utils/pagination.js";
+
+const users = () => getDB().collection("users");
+
+// Portfolio counts for a page of users: { [userId]: count }
+async function portfolioCounts(userIds) {
+  const rows = await getDB()
+    .collection("portfolios")
+    .aggregate([
+      {
+        $match: {
+          userId: { $in: [...userIds, ...userIds.map(String)] },
+          deletedAt: null,
+        },
+      },
+      { $group: { _id: { $toString: "$userId" }, count: { $sum: 1 } } },
+    ])
+    .toArray();
+
+  return Object.fromEntries(rows.map((r) => [r._id, r.count]));
+}
+
+// Loads :id or answers 400/404; returns null when it already responded
+async function findTargetUser(req, res) {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({ error: "Invalid user ID" });
+    return null;
+  }
+
+  const user = await users().findOne({ _id: new ObjectId(id) });
+  if (!user) {
+    res.status(404).json({ error: "User not found" });
+    return null;
+  }
+  return user;
+}
+
+// Admins can't lock themselves out by accident
+function isSelf(req, res, user) {
+  if (user._id.toString() !== String(req.user.id)) return false;
+  res.status(400).json({ error: "You cannot do this to your own account" });
+  return true;
+}
+
+// ==============================
+// 🔹 GET /admin/users?q=&role=&disabled=&page=&limit=
+// ==============================
+export async function listUsers(req, res) {
+  try {
+    const { q, role, disabled } = req.query;
+    // Query parsing turns ?q[]= / ?role[$ne]= into arrays and objects
+    if (q && typeof q !== "string") {
+      return res.status(400).json({ error: "q must be a string" });
+    }
+    if (role && !isValidRole(role)) {
+      return res.status(400).json({ error: "Invalid role" });
+    }
+    const paging = parsePagination(req.query);
+
+    const filter = {};
+    if (q) {
+      const pattern = { $regex: escapeRegex(q), $options: "i" };
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role) {
+      filter.role = role === "user" ? { $in: [null, "user"] } : role;
+    }
+    if (disabled === "true") filter.disabled = true;
+    if (disabled === "false") filter.disabled = { $ne: true };
+
+    const [docs, total] = await Promise.all([
+      users()
+        .find(filter)
+        .sort({ _id: -1 })
+        .skip(paging.skip)
+        .limit(paging.limit)
+        .toArray(),
+      users().countDocuments(filter),
+    ]);
+
+    const ids = docs.map((u) => u._id);
+    const [counts, usage] = await Promise.all([
+      portfolioCounts(ids),
+      usageByUser(ids),
+    ]);
+
+    res.json({
+      users: docs.map((u) => ({
+        ...toAdminUser(u),
+        portfolioCount: counts[u._id.toString()] || 0,
+        usage: usage[u._id.toString()] || {},
+      })),
+      ...pageInfo(paging, total),
+    });
+  } catch (err) {
+    console.error("❌ Admin list users error:", err.message);
+    res.status(500).json({ error: "Failed to fetch users" });
+  }
+}
+
+// ==============================
+// 🔹 GET /admin/users/:id
+// ==============================
+export async function getUser(req, res) {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const [portfolioCount, usage, activeSessions] = await Promise.all([
+      getDB()
+        .collection("portfolios")
+        .countDocuments({ ...ownedBy(user._id), deletedAt: null }),
+      usageByUser([user._id]),
+      getDB()
+        .collection("sessions")
+        .countDocuments({
+          userId: user._id,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() },
+        }),
+    ]);
+
+    res.json({
+      ...toAdminUser(user),
+      portfolioCount,
+      usage: usage[user._id.toString()] || {},
+      activeSessions,
+    });
+  } catch (err) {
+    console.error("❌ Admin get user error:", err.message);
+    res.status(500).json({ error: "Failed to fetch user" });
+  }
+}
+
+// ==============================
+// 🔹 PATCH /admin/users/:id/role — { role }
+// ==============================
+export async function setUserRole(req, res) {
+  try {
+    const { role } = req.body;
+    if (!isValidRole(role)) {
+      return res.status(400).json({ error: "Invalid role" });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user || isSelf(req, res, user)) return;
+
+    await users().updateOne(
+      { _id: user._id },
+      { $set: { role, updatedAt: new Date() } }
+    );
+
+    res.json({ success: true, role });
+  } catch (err) {
+    console.error("❌ Admin set role error:", err.message);
+    res.status(500).json({ error: "Failed to update role" });
+  }
+}
+
+// ==============================
+// 🔹 POST /admin/users/:id/disable — { reason? }
+// ==============================
+export async function disableUser(req, res) {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user || isSelf(req, res, user)) return;
+
+    await users().updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          disabled: true,
+          disabledAt: new Date(),
+          disabledReason: req.body?.reason || null,
+          disabledBy: new ObjectId(req.user.id),
+        },
+      }
+    );
+
+    // Kill every way in that is already out there
+    await revokeAllSessions(user._id);
+    await revokeAllAccessTokens(user._id);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Admin disable user error:", err.message);
+    res.status(500).json({ error: "Failed to disable user" });
+  }
+}
+
+// ==============================
+// 🔹 POST /admin/users/:id/enable
+// ==============================
+export async function enableUser(req, res) {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    await users().updateOne(
+      { _id: user._id },
+      {
+        $set: { disabled: false },
+        $unset: { disabledAt: "", disabledReason: "", disabledBy: "" },
+      }
+    );
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Admin enable user error:", err.message);
+    res.status(500).json({ error: "Failed to enable user" });
+  }
+}
+
+// ==============================
+// 🔹 POST /admin/users/:id/logout — ends all sessions and tokens
+// ==============================
+export async function forceLogoutUser(req, res) {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const sessions = await revokeAllSessions(user._id);
+    const tokens = await revokeAllAccessTokens(user._id);
+
+    res.json({ success: true, revoked: { sessions, tokens } });
+  } catch (err) {
+    console.error("❌ Admin force logout error:", err.message);
+    res.status(500).json({ error: "Failed to log out user" });
+  }
+}
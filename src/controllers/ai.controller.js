@@ -1,4 +1,59 @@
 import { generateWithRetry } from "../services/gemini.service.js";
+import { recordUsage, USAGE } from "../services/usage.service.js";
+import { findOwnedPortfolio } from "../services/portfolio.service.js";
+import { summaryPrompt, cleanSummary } from "../services/summary.service.js";
+
+// ~110 words plus headroom
+const SUMMARY_MAX_TOKENS = 300;
+
+/**
+ * POST /ai/summary — { portfolioId | form, tone?, length?, targetRole? }
+ * The prompt is built here from the resume; clients never send one.
+ */
+export const generateResumeSummary = async (req, res) => {
+  try {
+    const { portfolioId, form, ...options } = req.body;
+
+    if (!portfolioId === !form) {
+      return res.status(422).json({
+        error: "Validation failed",
+        details: [{ path: "body", message: "send either portfolioId or form" }],
+      });
+    }
+
+    const portfolio = portfolioId
+      ? await findOwnedPortfolio(req.user.id, portfolioId)
+      : form;
+    if (!portfolio) {
+      return res.status(404).json({ error: "Resume not found" });
+    }
+
+    const prompt = summaryPrompt(portfolio, options);
+    if (!prompt) {
+      return res.status(422).json({
+        error: "Add experience, projects or skills before generating a summary",
+      });
+    }
+
+    const answer = await generateWithRetry(prompt, 3, {
+      maxTokens: SUMMARY_MAX_TOKENS,
+    });
+    await recordUsage(req.user.id, USAGE.AI_GENERATE);
+
+    const summary = cleanSummary(answer);
+    if (!summary) {
+      return res.status(502).json({ error: "AI returned an empty summary, retry it" });
+    }
+
+    res.json({ success: true, summary });
+  } catch (error) {
+    console.error("❌ AI Summary Error:", error.message);
+    // Upstream error text stays in the logs; this route is open to every user
+    res.status(500).json({ error: "AI generation failed, retry it" });
+  }
+};
+
+// POST /ai/generate — raw prompt passthrough, admins only (see ai.routes.js)
 
 export const generateSummary = async (req, res) => {
   try {
@@ -8,6 +63,7 @@ export const generateSummary = async (req, res) => {
     }
 
     const summary = await generateWithRetry(prompt);
+    await recordUsage(req.user.id, USAGE.AI_GENERATE);
 
     res.json({
       success: true,
@@ -1,34 +1,304 @@
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import { getDB } from "../config/db.js";
-import { JWT_SECRET } from "../config/env.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} from "../services/session.service.js";
+import { revokeAllAccessTokens } from "../services/accessToken.service.js";
+import {
+  createPasswordReset,
+  consumePasswordReset,
+  sendPasswordResetMail,
+} from "../services/passwordReset.service.js";
+import {
+  sendVerificationMail,
+  verifyEmailToken,
+} from "../services/emailVerification.service.js";
+import {
+  getLoginLock,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../services/loginThrottle.service.js";
+import {
+  isTwoFactorEnabled,
+  consumeSecondFactor,
+  createLoginChallenge,
+  verifyLoginChallenge,
+} from "../services/twoFactor.service.js";
+import { sendTooManyRequests } from "../middleware/rateLimit.middleware.js";
+import { passwordError } from "../utils/password.js";
+import { toObjectId } from "../utils/objectId.js";
+
+// Same answer for unknown email and wrong password (no account enumeration)
+const INVALID_CREDENTIALS = "Invalid email or password";
+const LOCKED_MESSAGE =
+  "Too many failed login attempts, please try again later";
+const DUMMY_HASH = bcrypt.hashSync("not-a-real-password", 10);
+
+const sessionMeta = (req) => ({
+  userAgent: req.get("user-agent"),
+  ip: req.ip,
+});
 
 export async function register(req, res) {
-  const { name, email, password } = req.body;
-  const users = getDB().collection("users");
-  
-  const exists = await users.findOne({ email });
-  if (exists) return res.status(400).json({ error: "User exists" });
+  try {
+    const { name, email, password } = req.body;
+    if (!name || typeof email !== "string" || !email) {
+      return res.status(400).json({ error: "All fields are required" });
+    }
+
+    const invalid = passwordError(password);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const users = getDB().collection("users");
 
-  const hashed = await bcrypt.hash(password, 10);
-  await users.insertOne({ name, email, password: hashed });
+    const exists = await users.findOne({ email });
+    if (exists) return res.status(400).json({ error: "User exists" });
 
-  res.json({ success: true });
+    const hashed = await bcrypt.hash(password, 10);
+    const user = {
+      name,
+      email,
+      password: hashed,
+      verified: false,
+      createdAt: new Date(),
+    };
+    const { insertedId } = await users.insertOne(user);
+
+    // Registration stands even if the mail fails; the user can resend
+    try {
+      await sendVerificationMail({ ...user, _id: insertedId });
+    } catch (err) {
+      console.error("❌ Verification mail error:", err.message);
+    }
+
+    res.json({ success: true, verificationRequired: true });
+  } catch (err) {
+    console.error("❌ Register error:", err.message);
+    res.status(500).json({ error: "Registration failed" });
+  }
 }
 
 export async function login(req, res) {
-  const { email, password } = req.body;
-  const users = getDB().collection("users");
-  const user = await users.findOne({ email });
-  if (!user) return res.status(400).json({ error: "User not found" });
-
-  const valid = await bcrypt.compare(password, user.password);
-  if (!valid) return res.status(400).json({ error: "Invalid password" });
-
-  const token = jwt.sign(
-  { id: user._id },
-  JWT_SECRET,
-  { expiresIn: "7d" }
-);
-  res.json({ success: true, token });
+  try {
+    const { email, password } = req.body;
+    if (typeof email !== "string" || !email) {
+      return res.status(400).json({ error: "Email is required" });
+    }
+
+    const lockedUntil = await getLoginLock(email);
+    if (lockedUntil) {
+      return sendTooManyRequests(res, lockedUntil, LOCKED_MESSAGE);
+    }
+
+    const users = getDB().collection("users");
+    const user = await users.findOne({ email });
+
+    // Compare against a dummy hash for unknown emails so both cases take as long
+    const valid = await bcrypt.compare(
+      String(password || ""),
+      user?.password || DUMMY_HASH
+    );
+
+    if (!user || !valid) {
+      const lock = await recordLoginFailure(email);
+      if (lock) return sendTooManyRequests(res, lock, LOCKED_MESSAGE);
+
+      return res.status(400).json({ error: INVALID_CREDENTIALS });
+    }
+
+    if (user.disabled) {
+      return res.status(403).json({ error: "Account disabled" });
+    }
+
+    // Second step: POST /auth/login/2fa with the challenge token
+    if (isTwoFactorEnabled(user)) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user),
+      });
+    }
+
+    // Only a complete login resets the counter; with 2FA that is the second step
+    await clearLoginFailures(email);
+
+    const tokens = await createSession(user, sessionMeta(req));
+    res.json({ success: true, ...tokens });
+  } catch (err) {
+    console.error("❌ Login error:", err.message);
+    res.status(500).json({ error: "Login failed" });
+  }
+}
+
+// POST /auth/login/2fa — TOTP code or recovery code after the password step
+export async function loginTwoFactor(req, res) {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyLoginChallenge(challengeToken);
+    const user = userId
+      ? await getDB().collection("users").findOne({ _id: toObjectId(userId) })
+      : null;
+
+    if (!user || !isTwoFactorEnabled(user)) {
+      return res
+        .status(401)
+        .json({ error: "Login expired, please sign in again" });
+    }
+
+    if (user.disabled) {
+      return res.status(403).json({ error: "Account disabled" });
+    }
+
+    const lockedUntil = await getLoginLock(user.email);
+    if (lockedUntil) {
+      return sendTooManyRequests(res, lockedUntil, LOCKED_MESSAGE);
+    }
+
+    if (!(await consumeSecondFactor(user, { code, recoveryCode }))) {
+      const lock = await recordLoginFailure(user.email);
+      if (lock) return sendTooManyRequests(res, lock, LOCKED_MESSAGE);
+
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+
+    await clearLoginFailures(user.email);
+
+    const tokens = await createSession(user, sessionMeta(req));
+    res.json({ success: true, ...tokens });
+  } catch (err) {
+    console.error("❌ 2FA login error:", err.message);
+    res.status(500).json({ error: "Login failed" });
+  }
+}
+
+// POST /auth/refresh — rotates the refresh token
+export async function refresh(req, res) {
+  try {
+    const tokens = await rotateSession(req.body?.refreshToken);
+    if (!tokens) {
+      return res.status(401).json({ error: "Invalid refresh token" });
+    }
+
+    res.json({ success: true, ...tokens });
+  } catch (err) {
+    console.error("❌ Refresh error:", err.message);
+    res.status(500).json({ error: "Token refresh failed" });
+  }
+}
+
+// POST /auth/logout — ends the current session only
+export async function logout(req, res) {
+  try {
+    await revokeSession(req.user.sid);
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Logout error:", err.message);
+    res.status(500).json({ error: "Logout failed" });
+  }
+}
+
+// POST /auth/logout-all — ends every session of the user
+export async function logoutAll(req, res) {
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+    res.json({ success: true, revoked });
+  } catch (err) {
+    console.error("❌ Logout-all error:", err.message);
+    res.status(500).json({ error: "Logout failed" });
+  }
+}
+
+// POST /auth/forgot-password — same answer whether or not the email exists
+export async function forgotPassword(req, res) {
+  try {
+    const { email } = req.body;
+    if (typeof email !== "string" || !email) {
+      return res.status(400).json({ error: "Email is required" });
+    }
+
+    const user = await getDB().collection("users").findOne({ email });
+    if (user) {
+      const token = await createPasswordReset(user);
+      await sendPasswordResetMail(user, token);
+    }
+
+    res.json({
+      success: true,
+      message: "If that email is registered, a reset link has been sent",
+    });
+  } catch (err) {
+    console.error("❌ Forgot password error:", err.message);
+    res.status(500).json({ error: "Could not send reset email" });
+  }
+}
+
+// POST /auth/reset-password — sets a new password and ends all sessions
+export async function resetPassword(req, res) {
+  try {
+    const { token, password } = req.body;
+
+    const invalid = passwordError(password);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const userId = await consumePasswordReset(token);
+    if (!userId) {
+      return res.status(400).json({ error: "Invalid or expired reset token" });
+    }
+
+    const hashed = await bcrypt.hash(password, 10);
+    await getDB().collection("users").updateOne(
+      { _id: userId },
+      { $set: { password: hashed, passwordChangedAt: new Date() } }
+    );
+    await revokeAllSessions(userId);
+    await revokeAllAccessTokens(userId);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Reset password error:", err.message);
+    res.status(500).json({ error: "Password reset failed" });
+  }
+}
+
+// GET|POST /auth/verify-email — token from the emailed link
+export async function verifyEmail(req, res) {
+  try {
+    const token = req.body?.token || req.query.token;
+
+    const verified = await verifyEmailToken(token);
+    if (!verified) {
+      return res
+        .status(400)
+        .json({ error: "Invalid or expired verification link" });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Verify email error:", err.message);
+    res.status(500).json({ error: "Email verification failed" });
+  }
+}
+
+// POST /auth/resend-verification
+export async function resendVerification(req, res) {
+  try {
+    const user = await getDB()
+      .collection("users")
+      .findOne({ _id: toObjectId(req.user.id) });
+
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.verified !== false) {
+      return res.status(400).json({ error: "Email already verified" });
+    }
+
+    await sendVerificationMail(user);
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Resend verification error:", err.message);
+    res.status(500).json({ error: "Could not send verification email" });
+  }
 }
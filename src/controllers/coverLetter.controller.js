@@ -0,0 +1,257 @@
+import { ObjectId } from "mongodb";
+import { ownedBy } from "../services/account.service.js";
+import { findOwnedPortfolio } from "../services/portfolio.service.js";
+import { findOwnedApplication } from "../services/jobApplication.service.js";
+import {
+  coverLetters,
+  coverLetterPrompt,
+  targetJob,
+  LIST_PROJECTION,
+} from "../services/coverLetter.service.js";
+import { generateWithRetry } from "../services/gemini.service.js";
+import { recordUsage, USAGE } from "../services/usage.service.js";
+import { buildCoverLetterHtml } from "./pdf.controller.js";
+import { getBrowser, renderPdf } from "../utils/browser.js";
+import { cleanAiText } from "../utils/aiText.js";
+import { parsePagination, pageInfo } from "../utils/pagination.js";
+import { toObjectId } from "../utils/objectId.js";
+
+// ~350 words plus headroom
+const DRAFT_MAX_TOKENS = 900;
+
+// 422 body for a field that passed the schema but not the lookup
+const invalid = (path, message) => ({
+  error: "Validation failed",
+  details: [{ path, message }],
+});
+
+/**
+ * Checks that linked ids point at the caller's own resume / application
+ * and turns them into ObjectIds. Returns a 422 body when one doesn't.
+ */
+async function resolveLinks(req, fields) {
+  if (fields.portfolioId) {
+    const portfolio = await findOwnedPortfolio(req.user.id, fields.portfolioId, {
+      projection: { _id: 1 },
+    });
+    if (!portfolio) return invalid("portfolioId", "Resume not found");
+    fields.portfolioId = portfolio._id;
+  }
+
+  if (fields.applicationId) {
+    const application = await findOwnedApplication(req.user.id, fields.applicationId);
+    if (!application) return invalid("applicationId", "Application not found");
+    fields.applicationId = application._id;
+  }
+
+  return null;
+}
+
+// The letter's resume, or a 409 answer when it is in the trash or was
+// purged (which unsets portfolioId)
+async function letterPortfolio(req, res) {
+  const portfolio = await findOwnedPortfolio(req.user.id, req.coverLetter.portfolioId);
+  if (!portfolio) {
+    res.status(409).json({
+      error: "The resume of this cover letter was deleted, link another one",
+    });
+  }
+  return portfolio;
+}
+
+// ==============================
+// 🔹 POST /cover-letters
+// ==============================
+export async function createCoverLetter(req, res) {
+  try {
+    const fields = { ...req.body };
+
+    if (!fields.portfolioId) {
+      return res.status(422).json(invalid("portfolioId", "is required"));
+    }
+
+    const linkError = await resolveLinks(req, fields);
+    if (linkError) return res.status(422).json(linkError);
+
+    const now = new Date();
+    const coverLetter = {
+      ...fields,
+      userId: toObjectId(req.user.id),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const { insertedId } = await coverLetters().insertOne(coverLetter);
+
+    res.json({ success: true, coverLetter: { ...coverLetter, _id: insertedId } });
+  } catch (err) {
+    console.error("❌ Create cover letter error:", err.message);
+    res.status(500).json({ error: "Failed to save cover letter" });
+  }
+}
+
+// ==============================
+// 🔹 GET /cover-letters?portfolioId=&applicationId=&page=&limit=
+// ==============================
+export async function getCoverLetters(req, res) {
+  try {
+    const filter = ownedBy(req.user.id);
+
+    for (const field of ["portfolioId", "applicationId"]) {
+      if (req.query[field] === undefined) continue;
+      if (!ObjectId.isValid(req.query[field])) {
+        return res.status(400).json({ error: `Invalid ${field}` });
+      }
+      filter[field] = new ObjectId(req.query[field]);
+    }
+
+    const paging = parsePagination(req.query);
+
+    const [items, total] = await Promise.all([
+      coverLetters()
+        .find(filter, { projection: LIST_PROJECTION })
+        .sort({ updatedAt: -1, _id: -1 })
+        .skip(paging.skip)
+        .limit(paging.limit)
+        .toArray(),
+      coverLetters().countDocuments(filter),
+    ]);
+
+    res.json({ items, ...pageInfo(paging, total) });
+  } catch (err) {
+    console.error("❌ List cover letters error:", err.message);
+    res.status(500).json({ error: "Failed to fetch cover letters" });
+  }
+}
+
+// ==============================
+// 🔹 GET /cover-letters/:id
+// ==============================
+export function getCoverLetter(req, res) {
+  res.json(req.coverLetter);
+}
+
+// ==============================
+// 🔹 PATCH /cover-letters/:id — changed fields; null clears an optional one
+// ==============================
+export async function updateCoverLetter(req, res) {
+  try {
+    const fields = { ...req.body };
+
+    if ("portfolioId" in fields && !fields.portfolioId) {
+      return res.status(422).json(invalid("portfolioId", "cannot be empty"));
+    }
+
+    const linkError = await resolveLinks(req, fields);
+    if (linkError) return res.status(422).json(linkError);
+
+    const $set = { updatedAt: new Date() };
+    const $unset = {};
+    for (const [field, value] of Object.entries(fields)) {
+      if (value === null) $unset[field] = "";
+      else $set[field] = value;
+    }
+
+    const update = { $set };
+    if (Object.keys($unset).length) update.$unset = $unset;
+
+    const coverLetter = await coverLetters().findOneAndUpdate(
+      { _id: req.coverLetter._id, userId: req.coverLetter.userId },
+      update,
+      { returnDocument: "after" }
+    );
+    if (!coverLetter) return res.status(404).json({ error: "Cover letter not found" });
+
+    res.json({ success: true, coverLetter });
+  } catch (err) {
+    console.error("❌ Update cover letter error:", err.message);
+    res.status(500).json({ error: "Failed to update cover letter" });
+  }
+}
+
+// ==============================
+// 🔹 DELETE /cover-letters/:id
+// ==============================
+export async function deleteCoverLetter(req, res) {
+  try {
+    await coverLetters().deleteOne({ _id: req.coverLetter._id });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Delete cover letter error:", err.message);
+    res.status(500).json({ error: "Failed to delete cover letter" });
+  }
+}
+
+// ==============================
+// 🔹 POST /cover-letters/:id/draft — { tone?, length? }; replaces the body
+// ==============================
+export async function draftCoverLetter(req, res) {
+  try {
+    const letter = req.coverLetter;
+
+    const portfolio = await letterPortfolio(req, res);
+    if (!portfolio) return;
+
+    const application = letter.applicationId
+      ? await findOwnedApplication(req.user.id, letter.applicationId)
+      : null;
+
+    const prompt = coverLetterPrompt(portfolio, targetJob(letter, application), req.body);
+    const answer = await generateWithRetry(prompt, 3, { maxTokens: DRAFT_MAX_TOKENS });
+    await recordUsage(req.user.id, USAGE.AI_GENERATE);
+
+    const body = cleanAiText(answer).slice(0, 10000);
+    if (!body) {
+      return res.status(502).json({ error: "The AI service returned an empty draft, retry it" });
+    }
+
+    const coverLetter = await coverLetters().findOneAndUpdate(
+      { _id: letter._id, userId: letter.userId },
+      { $set: { body, draftedAt: new Date(), updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+    if (!coverLetter) return res.status(404).json({ error: "Cover letter not found" });
+
+    res.json({ success: true, coverLetter });
+  } catch (err) {
+    console.error("❌ Cover letter draft error:", err.message);
+    res.status(500).json({ error: "AI generation failed, retry it" });
+  }
+}
+
+// ==============================
+// 🔹 GET /cover-letters/:id/pdf?locale= — same header as the resume PDF
+// ==============================
+export async function exportCoverLetterPdf(req, res) {
+  try {
+    const portfolio = await letterPortfolio(req, res);
+    if (!portfolio) return;
+
+    const html = buildCoverLetterHtml(portfolio, req.coverLetter, {
+      locale: req.query.locale || req.acceptsLanguages()[0],
+    });
+
+    const browser = await getBrowser();
+    let pdfBuffer;
+    try {
+      pdfBuffer = await renderPdf(browser, html);
+    } finally {
+      await browser.close();
+    }
+
+    await recordUsage(req.user.id, USAGE.PDF_EXPORT);
+
+    const fileName =
+      `${portfolio.name || "cover"}-cover-letter`
+        .replace(/[^a-zA-Z0-9_-]/g, "_")
+        .substring(0, 40) + ".pdf";
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("Content-Length", pdfBuffer.length);
+    res.end(pdfBuffer);
+  } catch (err) {
+    console.error("❌ Cover letter PDF error:", err.message);
+    res.status(500).json({ error: "PDF generation failed" });
+  }
+}
@@ -0,0 +1,92 @@
+import {
+  EXPORT_STATUS,
+  createExportJob,
+  listExportJobs,
+  findExportJob,
+  findDownload,
+  downloadUrl,
+} from "../services/dataExport.service.js";
+import { kickExportWorker } from "../jobs/exportWorker.js";
+
+// What the owner sees of a job; ready jobs carry a fresh download link
+function toExportView(job) {
+  const view = {
+    id: job._id,
+    status: job.status,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt || null,
+    expiresAt: job.expiresAt || null,
+  };
+  if (job.status === EXPORT_STATUS.READY) {
+    Object.assign(view, { size: job.size, downloadUrl: downloadUrl(job) });
+  }
+  if (job.status === EXPORT_STATUS.FAILED) view.error = job.error;
+  return view;
+}
+
+// ==============================
+// 🔹 POST /auth/me/exports — queues a full account export
+// ==============================
+export async function requestExport(req, res) {
+  try {
+    const { job, created } = await createExportJob(req.user.id);
+    if (created) kickExportWorker();
+
+    // The link is also emailed once the archive is ready
+    res.status(202).json({ ...toExportView(job), created });
+  } catch (err) {
+    console.error("❌ Request export error:", err.message);
+    res.status(500).json({ error: "Failed to start export" });
+  }
+}
+
+// ==============================
+// 🔹 GET /auth/me/exports
+// ==============================
+export async function listExports(req, res) {
+  try {
+    const jobs = await listExportJobs(req.user.id);
+    res.json({ exports: jobs.map(toExportView) });
+  } catch (err) {
+    console.error("❌ List exports error:", err.message);
+    res.status(500).json({ error: "Failed to fetch exports" });
+  }
+}
+
+// ==============================
+// 🔹 GET /auth/me/exports/:id
+// ==============================
+export async function getExport(req, res) {
+  try {
+    const job = await findExportJob(req.user.id, req.params.id);
+    if (!job) return res.status(404).json({ error: "Export not found" });
+
+    res.json(toExportView(job));
+  } catch (err) {
+    console.error("❌ Get export error:", err.message);
+    res.status(500).json({ error: "Failed to fetch export" });
+  }
+}
+
+// ==============================
+// 🔹 GET /auth/me/exports/:id/download?token= — the signed link is the credential
+// ==============================
+export async function downloadExport(req, res) {
+  try {
+    const download = await findDownload(req.params.id, req.query.token);
+    if (!download) {
+      return res.status(404).json({ error: "Download link is invalid or has expired" });
+    }
+
+    res.download(download.file, download.job.fileName, (err) => {
+      if (!err) return;
+      console.error("❌ Export download error:", err.message);
+      if (!res.headersSent) {
+        res.status(404).json({ error: "Export file not found" });
+      }
+    });
+  } catch (err) {
+    console.error("❌ Download export error:", err.message);
+    res.status(500).json({ error: "Failed to download export" });
+  }
+}
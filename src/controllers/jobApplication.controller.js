@@ -0,0 +1,177 @@
+import { ObjectId } from "mongodb";
+import { findOwnedPortfolio } from "../services/portfolio.service.js";
+import {
+  jobApplications,
+  buildApplicationQuery,
+  applicationStats,
+  statusChange,
+  LIST_PROJECTION,
+} from "../services/jobApplication.service.js";
+import { parsePagination, pageInfo } from "../utils/pagination.js";
+import { toObjectId } from "../utils/objectId.js";
+
+// Statuses that mean the application went out
+const SENT = ["applied", "interview", "offer"];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// 422 body for a field that passed the schema but not the lookup / rules
+const invalid = (path, message) => ({
+  error: "Validation failed",
+  details: [{ path, message }],
+});
+
+// Company and role may be left out of a PATCH, but never blanked
+const blankField = (body, fields) =>
+  fields.find((field) => field in body && !String(body[field] ?? "").trim());
+
+// The linked resume has to be one of the caller's own, not in the trash
+const ownsResume = async (req, portfolioId) =>
+  !!(await findOwnedPortfolio(req.user.id, portfolioId, { projection: { _id: 1 } }));
+
+// ==============================
+// 🔹 POST /applications
+// ==============================
+export async function createApplication(req, res) {
+  try {
+    const { statusNote, portfolioId, ...fields } = req.body;
+    const status = fields.status || "saved";
+
+    const blank = blankField(fields, ["company", "role"]);
+    if (blank) return res.status(422).json(invalid(blank, "cannot be empty"));
+
+    if (portfolioId && !(await ownsResume(req, portfolioId))) {
+      return res.status(422).json(invalid("portfolioId", "Resume not found"));
+    }
+
+    const now = new Date();
+    const application = {
+      ...fields,
+      status,
+      userId: toObjectId(req.user.id),
+      ...(portfolioId ? { portfolioId: new ObjectId(portfolioId) } : {}),
+      ...(SENT.includes(status) && !fields.appliedOn ? { appliedOn: today() } : {}),
+      statusHistory: [statusChange(status, statusNote)],
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const { insertedId } = await jobApplications().insertOne(application);
+
+    res.json({ success: true, application: { ...application, _id: insertedId } });
+  } catch (err) {
+    console.error("❌ Create application error:", err.message);
+    res.status(500).json({ error: "Failed to save application" });
+  }
+}
+
+// ==============================
+// 🔹 GET /applications?status=&portfolioId=&q=&page=&limit=
+// ==============================
+export async function getApplications(req, res) {
+  try {
+    const query = buildApplicationQuery(req.user.id, req.query);
+    if (query.error) return res.status(400).json({ error: query.error });
+
+    const paging = parsePagination(req.query);
+
+    const [items, total] = await Promise.all([
+      jobApplications()
+        .find(query.filter, { projection: LIST_PROJECTION })
+        .sort({ updatedAt: -1, _id: -1 })
+        .skip(paging.skip)
+        .limit(paging.limit)
+        .toArray(),
+      jobApplications().countDocuments(query.filter),
+    ]);
+
+    res.json({ items, ...pageInfo(paging, total) });
+  } catch (err) {
+    console.error("❌ List applications error:", err.message);
+    res.status(500).json({ error: "Failed to fetch applications" });
+  }
+}
+
+// ==============================
+// 🔹 GET /applications/stats
+// ==============================
+export async function getApplicationStats(req, res) {
+  try {
+    res.json(await applicationStats(req.user.id));
+  } catch (err) {
+    console.error("❌ Application stats error:", err.message);
+    res.status(500).json({ error: "Failed to fetch application stats" });
+  }
+}
+
+// ==============================
+// 🔹 GET /applications/:id
+// ==============================
+export function getApplication(req, res) {
+  res.json(req.application);
+}
+
+// ==============================
+// 🔹 PATCH /applications/:id — changed fields; null clears an optional one
+// ==============================
+export async function updateApplication(req, res) {
+  try {
+    const { statusNote, ...fields } = req.body;
+    const current = req.application;
+
+    const blank = blankField(fields, ["company", "role", "status"]);
+    if (blank) return res.status(422).json(invalid(blank, "cannot be empty"));
+
+    if (fields.portfolioId) {
+      if (!(await ownsResume(req, fields.portfolioId))) {
+        return res.status(422).json(invalid("portfolioId", "Resume not found"));
+      }
+      fields.portfolioId = new ObjectId(fields.portfolioId);
+    }
+
+    const $set = { updatedAt: new Date() };
+    const $unset = {};
+    for (const [field, value] of Object.entries(fields)) {
+      if (value === null) $unset[field] = "";
+      else $set[field] = value;
+    }
+
+    const update = { $set };
+    if (Object.keys($unset).length) update.$unset = $unset;
+
+    // Only real status changes go into the history
+    const { status } = fields;
+    if (status && status !== current.status) {
+      update.$push = { statusHistory: statusChange(status, statusNote) };
+
+      if (SENT.includes(status) && !current.appliedOn && !fields.appliedOn) {
+        $set.appliedOn = today();
+      }
+    }
+
+    const application = await jobApplications().findOneAndUpdate(
+      { _id: current._id, userId: current.userId },
+      update,
+      { returnDocument: "after" }
+    );
+    if (!application) return res.status(404).json({ error: "Application not found" });
+
+    res.json({ success: true, application });
+  } catch (err) {
+    console.error("❌ Update application error:", err.message);
+    res.status(500).json({ error: "Failed to update application" });
+  }
+}
+
+// ==============================
+// 🔹 DELETE /applications/:id
+// ==============================
+export async function deleteApplication(req, res) {
+  try {
+    await jobApplications().deleteOne({ _id: req.application._id });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Delete application error:", err.message);
+    res.status(500).json({ error: "Failed to delete application" });
+  }
+}
@@ -0,0 +1,61 @@
+import { getDB } from "../config/db.js";
+import { withItemIds, etagOf } from "../services/portfolio.service.js";
+import { recordVersion } from "../services/portfolioVersion.service.js";
+import { fromJsonResume, toJsonResume } from "../services/jsonResume.service.js";
+import { portfolioSchema } from "../schemas/portfolio.schema.js";
+import { validate } from "../utils/schema.js";
+import { toObjectId } from "../utils/objectId.js";
+
+const portfolios = () => getDB().collection("portfolios");
+
+// ==============================
+// 🔹 POST /portfolio/import/json-resume[?dryRun=true] — body: JSON Resume document
+// ==============================
+export async function importJsonResume(req, res) {
+  try {
+    if (!req.body || typeof req.body !== "object" || Array.isArray(req.body)) {
+      return res.status(422).json({
+        error: "Validation failed",
+        details: [{ path: "body", message: "must be a JSON Resume object" }],
+      });
+    }
+
+    const { portfolio, unmapped } = fromJsonResume(req.body);
+
+    const { value, errors } = validate(portfolioSchema, portfolio);
+    if (errors.length) {
+      return res.status(422).json({ error: "Validation failed", details: errors, unmapped });
+    }
+
+    // Preview only: the mapped resume is returned but not saved
+    if (req.query.dryRun === "true") {
+      return res.json({ portfolio: value, unmapped });
+    }
+
+    const now = new Date();
+    const doc = {
+      ...withItemIds(value),
+      title: value.name ? `${value.name} (JSON Resume)` : "Imported resume",
+      userId: toObjectId(req.user.id),
+      createdAt: now,
+      updatedAt: now,
+      revision: 1,
+    };
+
+    const { insertedId } = await portfolios().insertOne(doc);
+    await recordVersion({ ...doc, _id: insertedId }, "import", { format: "json-resume" });
+
+    res.set("ETag", etagOf(doc));
+    res.json({ success: true, id: insertedId, revision: doc.revision, unmapped });
+  } catch (err) {
+    console.error("❌ JSON Resume import error:", err.message);
+    res.status(500).json({ error: "Failed to import JSON Resume" });
+  }
+}
+
+// ==============================
+// 🔹 GET /portfolio/:id/export/json-resume
+// ==============================
+export function exportJsonResume(req, res) {
+  res.json(toJsonResume(req.portfolio));
+}
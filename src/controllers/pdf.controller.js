@@ -1,14 +1,26 @@
-import { getBrowser } from "../utils/browser.js";
+import { getBrowser, renderPdf } from "../utils/browser.js";
 import { normalizeEducationArray } from "../utils/normalizeEducation.js";
+import { recordUsage, USAGE } from "../services/usage.service.js";
+import { escapeHtml } from "../utils/escapeHtml.js";
+import {
+  experienceRange,
+  educationRange,
+  sortReverseChronological,
+  totalYears,
+  formatDateRange,
+  formatDuration,
+  resolveLocale,
+} from "../utils/resumeDates.js";
 
 /**
- * POST /pdf/export
+ * POST /pdf/export — { form, gensummary, locale? }; date ranges follow
+ * `locale`, else the Accept-Language header
  */
 export const exportPdf = async (req, res) => {
   try {
     console.log("📥 PDF export request received");
 
-    const { form, gensummary } = req.body;
+    const { form, gensummary, locale } = req.body;
 
     if (!form) {
       return res.status(400).json({ error: "Form data missing" });
@@ -22,7 +34,9 @@ export const exportPdf = async (req, res) => {
     // =======================
     // 🔹 Build HTML
     // =======================
-    const html = buildResumeHtml(form, cleanSummary);
+    const html = buildResumeHtml(form, cleanSummary, {
+      locale: locale || req.acceptsLanguages()[0],
+    });
 
     // =======================
     // 🔹 Launch Browser (single source of truth)
@@ -38,22 +52,18 @@ export const exportPdf = async (req, res) => {
     // =======================
     // 🔹 Generate PDF
     // =======================
-    const page = await browser.newPage();
-    await page.setContent(html, { waitUntil: "networkidle0" });
-
-    const pdfUint8 = await page.pdf({
-      format: "A4",
-      printBackground: true,
-      preferCSSPageSize: true,
-    });
-
-    await browser.close();
+    let pdfBuffer;
+    try {
+      pdfBuffer = await renderPdf(browser, html);
+    } finally {
+      await browser.close();
+    }
 
-    if (!pdfUint8 || pdfUint8.length === 0) {
+    if (!pdfBuffer.length) {
       return res.status(500).json({ error: "Generated PDF is empty" });
     }
 
-    const pdfBuffer = Buffer.from(pdfUint8);
+    await recordUsage(req.user.id, USAGE.PDF_EXPORT);
 
     const fileName =
       (form.name || "resume")
@@ -80,46 +90,15 @@ export const exportPdf = async (req, res) => {
   }
 };
 
-// ======================================================
-// 🔹 HTML BUILDER (unchanged, safe to keep here)
-// ======================================================
-function buildResumeHtml(form, cleanSummary) {
-
+// Escapes user text so it can't inject markup into the page
 const safe = (v) =>
-  v ? String(v) : "";
-
-
-/* ================= SECTION CHECKERS ================= */
-
-const hasExperience =
-  form.experience?.some(
-    e => e.role || e.company
-  );
-
-const hasProjects =
-  form.projects?.some(
-    p => p.name
-  );
-
-const hasCertificates =
-  form.certificates?.some(
-    c => c.title
-  );
-
-const hasSkills =
-  Array.isArray(form.skills) &&
-  form.skills.some(s => s);
-
-const hasLanguages =
-  form.languages?.some(
-    l => l.language
-  );
-
-const hasAdditional =
-  hasLanguages ||
-  form.nationality ||
-  form.availabilityType;
+  v ? escapeHtml(String(v)) : "";
 
+// ======================================================
+// 🔹 HEADER (name, role, contact line) — shared by the
+// resume and the cover letter so both documents match
+// ======================================================
+export function buildHeaderHtml(form) {
 
 /* ================= PERSONAL INFO ================= */
 
@@ -131,34 +110,16 @@ const personalInfo = [
   form.pincode ? ", " + safe(form.pincode) : ""
 }`,
 
-form.emailId,
-form.phoneNo,
-form.linkedIn,
-form.portfolioLink
+safe(form.emailId),
+safe(form.phoneNo),
+safe(form.linkedIn),
+safe(form.portfolioLink)
 
 ].filter(Boolean).join(" | ");
 
 
-
 return `
 
-<!DOCTYPE html>
-
-<html>
-
-<head>
-<meta charset="utf-8"/>
-</head>
-
-<body
-style="
-font-family:Arial;
-padding:40px;
-line-height:1.5;
-"
->
-
-
 <!-- HEADER -->
 
 <div
@@ -205,6 +166,100 @@ ${personalInfo}
 
 </div>
 
+`;
+
+}
+
+// ======================================================
+// 🔹 HTML BUILDER (also renders public portfolio pages)
+// ======================================================
+export function buildResumeHtml(form, cleanSummary, { locale } = {}) {
+
+/* ================= DATES (newest first) ================= */
+
+const lang = resolveLocale(locale);
+
+const experience = sortReverseChronological(
+  (form.experience || []).filter(e => e.role || e.company),
+  experienceRange
+);
+
+const education = sortReverseChronological(
+  form.education || [],
+  educationRange
+);
+
+const experienceYears =
+  totalYears(experience.map(experienceRange));
+
+// Entries saved before structured dates only have `duration`
+const experienceDates = (e) =>
+  e.start
+    ? formatDateRange(experienceRange(e), lang)
+    : formatDuration(e.duration, lang);
+
+// Years the range can't read (e.g. "Pursuing") are shown as typed
+const educationDates = (e) => {
+  const range = educationRange(e);
+  return range.start && (range.end || !e.endYear)
+    ? formatDateRange(range, lang)
+    : [e.startYear, e.endYear].filter(Boolean).join(" - ");
+};
+
+
+/* ================= SECTION CHECKERS ================= */
+
+const hasExperience =
+  form.experience?.some(
+    e => e.role || e.company
+  );
+
+const hasProjects =
+  form.projects?.some(
+    p => p.name
+  );
+
+const hasCertificates =
+  form.certificates?.some(
+    c => c.title
+  );
+
+const hasSkills =
+  Array.isArray(form.skills) &&
+  form.skills.some(s => s);
+
+const hasLanguages =
+  form.languages?.some(
+    l => l.language
+  );
+
+const hasAdditional =
+  hasLanguages ||
+  form.nationality ||
+  form.availabilityType;
+
+
+return `
+
+<!DOCTYPE html>
+
+<html>
+
+<head>
+<meta charset="utf-8"/>
+</head>
+
+<body
+style="
+font-family:Arial;
+padding:40px;
+line-height:1.5;
+"
+>
+
+
+${buildHeaderHtml(form)}
+
 
 
 <!-- SUMMARY -->
@@ -254,7 +309,16 @@ margin-bottom: 5px;
 "
 >
 
-EXPERIENCE
+EXPERIENCE${experienceYears ? `
+<span
+style="
+font-weight:400;
+color:#555;
+font-size:13px;
+"
+>
+(${safe(formatDuration(String(experienceYears), lang))})
+</span>` : ""}
 
 </h2>
 
@@ -265,8 +329,7 @@ margin-bottom:10px;
 "
 />
 
-${form.experience
-.filter(e => e.role || e.company)
+${experience
 .map(e => `
 
 <div
@@ -291,7 +354,7 @@ ${safe(e.role)}
 
 <span>
 
-${safe(e.duration)} Year
+${safe(experienceDates(e))}
 
 </span>
 
@@ -341,6 +404,7 @@ margin-bottom:10px;
 
 ${form.skills
 .filter(Boolean)
+.map(safe)
 .join(", ")}
 
 </p>
@@ -351,7 +415,7 @@ ${form.skills
 
 <!-- EDUCATION -->
 
-${form.education?.length ? `
+${education.length ? `
 
 <h2
 style="
@@ -373,7 +437,7 @@ margin-bottom:10px;
 "
 />
 
-${form.education.map(e => `
+${education.map(e => `
 
 <div
 style="
@@ -397,7 +461,7 @@ ${safe(e.institute)}
 
 <span>
 
-${safe(e.startYear)} - ${safe(e.endYear)}
+${safe(educationDates(e))}
 
 </span>
 
@@ -636,6 +700,85 @@ ${form.availabilityType
 
 
 
+</body>
+
+</html>
+
+`;
+
+}
+
+// ======================================================
+// 🔹 COVER LETTER BUILDER — resume header, then the letter
+// ======================================================
+export function buildCoverLetterHtml(form, letter, { locale } = {}) {
+
+const today = new Intl.DateTimeFormat(resolveLocale(locale), {
+  dateStyle: "long",
+}).format(new Date());
+
+const recipient = [
+  letter.hiringManager,
+  letter.company,
+].filter(Boolean).map(safe).join("<br/>");
+
+// Blank lines separate paragraphs; single breaks are kept
+const paragraphs = String(letter.body || "")
+  .split(/\n\s*\n/)
+  .map(p => p.trim())
+  .filter(Boolean)
+  .map(p => `<p>${safe(p).replace(/\n/g, "<br/>")}</p>`)
+  .join("\n");
+
+
+return `
+
+<!DOCTYPE html>
+
+<html>
+
+<head>
+<meta charset="utf-8"/>
+</head>
+
+<body
+style="
+font-family:Arial;
+padding:40px;
+line-height:1.5;
+"
+>
+
+
+${buildHeaderHtml(form)}
+
+
+<hr
+style="
+border:1px solid;
+margin-bottom:20px;
+"
+/>
+
+<p>
+
+${safe(today)}
+
+</p>
+
+${recipient ? `<p>${recipient}</p>` : ""}
+
+<div
+style="
+font-size:14px;
+"
+>
+
+${paragraphs}
+
+</div>
+
+
 </body>
 
 </html>
@@ -1,6 +1,35 @@
 import { getDB } from "../config/db.js";
 import { normalizeEducationArray } from "../utils/normalizeEducation.js";
 import { ObjectId } from "mongodb";
+import {
+  ownedPortfolioQuery,
+  buildListQuery,
+  findOwnedPortfolio,
+  trashQuery,
+  LIST_PROJECTION,
+  etagOf,
+  revisionOf,
+  bumpRevision,
+  atRevision,
+  withItemIds,
+} from "../services/portfolio.service.js";
+import { applyPortfolioPatch } from "../services/portfolioPatch.service.js";
+import { TRASH_RETENTION_DAYS } from "../config/env.js";
+import { parsePagination, pageInfo } from "../utils/pagination.js";
+import { experienceRange, totalYears } from "../utils/resumeDates.js";
+import {
+  CONTENT_FIELDS,
+  contentOf,
+  recordVersion,
+  ensureBaselineVersion,
+} from "../services/portfolioVersion.service.js";
+
+// When the trash sweeper will remove a resume deleted at `deletedAt`
+const purgeDate = (deletedAt) =>
+  new Date(
+    deletedAt.getTime() +
+    TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  );
 
 // ==============================
 // 🔹 SAVE PORTFOLIO
@@ -36,27 +65,42 @@ export async function savePortfolio(req, res) {
 
     }
 
+    const withIds =
+      withItemIds(req.body);
+
     const data = {
 
-      ...req.body,
+      ...withIds,
 
       education:
         normalizeEducationArray(
-          req.body.education
+          withIds.education
         ),
 
       userId,
 
       createdAt: new Date(),
 
+      updatedAt: new Date(),
+
+      revision: 1,
+
     };
 
     const result =
       await portfolios.insertOne(data);
 
+    await recordVersion(
+      { ...data, _id: result.insertedId },
+      "create"
+    );
+
+    res.set("ETag", etagOf(data));
+
     res.json({
       success: true,
       id: result.insertedId,
+      revision: data.revision,
     });
 
   } catch (err) {
@@ -94,28 +138,45 @@ export async function getPortfolios(req, res) {
     const portfolios =
       getDB().collection("portfolios");
 
-    let userId;
+    // ✅ ?q= &tag= &hasProjects= &hasExperience= &published= &kind=
+    //    &sort=updated|created|name &order= &page= &limit= &fields=full
 
-    // ✅ Handle both ObjectId and string IDs
+    const query =
+      buildListQuery(
+        req.user.id,
+        req.query
+      );
 
-    if (ObjectId.isValid(req.user.id)) {
+    if (query.error) {
 
-      userId =
-        new ObjectId(req.user.id);
+      return res.status(400).json({
+        error: query.error
+      });
 
-    } else {
+    }
 
-      userId =
-        req.user.id;
+    const paging =
+      parsePagination(req.query);
 
-    }
+    const [items, total] =
+      await Promise.all([
+
+        portfolios
+          .find(query.filter, { projection: query.projection })
+          .collation({ locale: "en", strength: 2 })
+          .sort(query.sort)
+          .skip(paging.skip)
+          .limit(paging.limit)
+          .toArray(),
 
-    const data = await portfolios
-      .find({ userId })
-      .sort({ createdAt: -1 })
-      .toArray();
+        portfolios.countDocuments(query.filter),
 
-    res.json(data);
+      ]);
+
+    res.json({
+      items,
+      ...pageInfo(paging, total)
+    });
 
   } catch (err) {
 
@@ -135,147 +196,299 @@ export async function getPortfolios(req, res) {
 // 🔹 GET SINGLE PORTFOLIO
 // ==============================
 
+// req.portfolio is loaded (and ownership checked) by loadOwnedPortfolio
+// ✅ ETag is the revision to send back as If-Match on PUT
+
 export async function getPortfolioById(req, res) {
 
+  res.set("ETag", etagOf(req.portfolio));
+
+  // Computed from the structured dates; not stored
+  const experienceYears =
+    totalYears((req.portfolio.experience || []).map(experienceRange));
+
+  res.json({ ...req.portfolio, experienceYears });
+
+}
+
+// ==============================
+// 🔹 UPDATE PORTFOLIO
+// ==============================
+
+export async function updatePortfolio(req, res) {
+
   try {
 
     const portfolios =
       getDB().collection("portfolios");
 
-    const { id } = req.params;
+    // ✅ Remove _id before updating
 
-    const data = await portfolios.findOne({
-      _id: new ObjectId(id),
-    });
+    const {
+      _id,
+      userId: bodyUserId,
+      ...rest
+    } = req.body;
+
+    const withIds =
+      withItemIds(rest);
+
+    const updatedData = {
+
+      ...withIds,
+
+      education:
+        normalizeEducationArray(
+          withIds.education
+        ),
+
+      updatedAt:
+        new Date()
+
+    };
+
+    // ✅ Keep pre-history resumes' current state before overwriting it
+
+    await ensureBaselineVersion(
+      req.portfolio
+    );
+
+    // ✅ Only applies while the resume is still at the client's revision
+    //    (req.expectedRevision is null for If-Match: *)
+
+    const expected =
+      req.expectedRevision;
+
+    const updated =
+      await portfolios.findOneAndUpdate(
+
+        {
+          ...ownedPortfolioQuery(
+            req.user.id,
+            req.portfolio._id
+          ),
+          ...(expected === null ? {} : atRevision(expected))
+        },
+
+        {
+          $set: updatedData,
+          $inc: bumpRevision
+        },
 
-    if (!data) {
+        {
+          returnDocument: "after"
+        }
+
+      );
+
+    if (!updated) {
+
+      const current =
+        await findOwnedPortfolio(
+          req.user.id,
+          req.portfolio._id
+        );
+
+      if (!current) {
 
-      return res.status(404).json({
-        error: "Portfolio not found"
+        return res.status(404).json({
+          error: "Resume not found"
+        });
+
+      }
+
+      // ✅ Stale edit: send the server copy so the client can merge
+
+      res.set("ETag", etagOf(current));
+
+      return res.status(412).json({
+        error: "Resume was changed since you loaded it",
+        revision: revisionOf(current),
+        current
       });
 
     }
 
-    res.json(data);
+    const version =
+      await recordVersion(
+        updated,
+        "update"
+      );
+
+    res.set("ETag", etagOf(updated));
+
+    res.json({
+      success: true,
+      version,
+      revision: updated.revision
+    });
 
   } catch (err) {
 
     console.error(
-      "FETCH ONE ERROR:",
+      "UPDATE ERROR:",
       err
     );
 
     res.status(500).json({
-      error: "Failed to fetch portfolio"
+      error: "Failed to update portfolio"
     });
 
   }
 
 }
 
-export async function updatePortfolio(req, res) {
+// ==============================
+// 🔹 PATCH PORTFOLIO
+// ==============================
 
-  try {
+// ✅ Retries when another save lands between reading and writing
+//    (only without If-Match; with it the client gets a 412 instead)
 
-    if (!req.user?.id) {
+const PATCH_ATTEMPTS = 3;
 
-      return res.status(401).json({
-        error: "Unauthorized"
-      });
+export async function patchPortfolio(req, res) {
 
-    }
+  try {
 
     const portfolios =
       getDB().collection("portfolios");
 
-    const { id } = req.params;
+    const expected =
+      req.expectedRevision;
 
-    if (!ObjectId.isValid(id)) {
+    let current =
+      req.portfolio;
 
-      return res.status(400).json({
-        error: "Invalid Resume ID"
-      });
+    for (let attempt = 0; attempt < PATCH_ATTEMPTS; attempt++) {
 
-    }
+      if (
+        expected !== null &&
+        revisionOf(current) !== expected
+      ) {
 
-    // ✅ Fix userId type
+        res.set("ETag", etagOf(current));
 
-    let userId;
+        return res.status(412).json({
+          error: "Resume was changed since you loaded it",
+          revision: revisionOf(current),
+          current
+        });
 
-    if (ObjectId.isValid(req.user.id)) {
+      }
 
-      userId =
-        new ObjectId(req.user.id);
+      const patched =
+        applyPortfolioPatch(
+          contentOf(current),
+          req.body
+        );
 
-    } else {
+      if (patched.error) {
 
-      userId =
-        req.user.id;
+        return res.status(422).json({
+          error: patched.error,
+          details: patched.details
+        });
 
-    }
+      }
 
-    // ✅ Remove _id before updating
+      // ✅ Fields the patch removed are unset, not kept
 
-    const {
-      _id,
-      userId: bodyUserId,
-      ...rest
-    } = req.body;
+      const update = {
+        $set: {
+          ...patched.value,
+          updatedAt: new Date()
+        },
+        $inc: bumpRevision
+      };
 
-    const updatedData = {
+      const removed =
+        CONTENT_FIELDS.filter(
+          (field) =>
+            current[field] !== undefined &&
+            patched.value[field] === undefined
+        );
 
-      ...rest,
+      if (removed.length) {
 
-      education:
-        normalizeEducationArray(
-          rest.education
-        ),
+        update.$unset =
+          Object.fromEntries(
+            removed.map((field) => [field, ""])
+          );
 
-      updatedAt:
-        new Date()
+      }
 
-    };
+      await ensureBaselineVersion(
+        current
+      );
 
-    const result =
-      await portfolios.updateOne(
+      const updated =
+        await portfolios.findOneAndUpdate(
 
-        {
-          _id: new ObjectId(id),
-          userId
-        },
+          {
+            ...ownedPortfolioQuery(
+              req.user.id,
+              current._id
+            ),
+            ...atRevision(revisionOf(current))
+          },
 
-        {
-          $set: updatedData
-        }
+          update,
 
-      );
+          {
+            returnDocument: "after"
+          }
 
-    console.log(
-      "Update Result:",
-      result
-    );
+        );
 
-    if (result.matchedCount === 0) {
+      if (updated) {
 
-      return res.status(404).json({
-        error: "Resume not found"
-      });
+        const version =
+          await recordVersion(
+            updated,
+            "patch"
+          );
+
+        res.set("ETag", etagOf(updated));
+
+        return res.json({
+          success: true,
+          version,
+          revision: updated.revision,
+          portfolio: updated
+        });
+
+      }
+
+      current =
+        await findOwnedPortfolio(
+          req.user.id,
+          current._id
+        );
+
+      if (!current) {
+
+        return res.status(404).json({
+          error: "Resume not found"
+        });
+
+      }
 
     }
 
-    res.json({
-      success: true
+    res.status(409).json({
+      error: "Resume is being edited elsewhere, please retry"
     });
 
   } catch (err) {
 
     console.error(
-      "UPDATE ERROR:",
+      "PATCH ERROR:",
       err
     );
 
     res.status(500).json({
-      error: err.message
+      error: "Failed to patch portfolio"
     });
 
   }
@@ -283,7 +496,7 @@ export async function updatePortfolio(req, res) {
 }
 
 // ==============================
-// 🔹 DELETE PORTFOLIO
+// 🔹 DELETE PORTFOLIO (moves it to the trash)
 // ==============================
 
 export async function deletePortfolio(req, res) {
@@ -293,14 +506,26 @@ export async function deletePortfolio(req, res) {
     const portfolios =
       getDB().collection("portfolios");
 
-    const { id } = req.params;
+    const deletedAt =
+      new Date();
 
-    await portfolios.deleteOne({
-      _id: new ObjectId(id),
-    });
+    await portfolios.updateOne(
+
+      ownedPortfolioQuery(
+        req.user.id,
+        req.portfolio._id
+      ),
+
+      {
+        $set: { deletedAt }
+      }
+
+    );
 
     res.json({
-      success: true
+      success: true,
+      deletedAt,
+      purgeAt: purgeDate(deletedAt)
     });
 
   } catch (err) {
@@ -316,4 +541,104 @@ export async function deletePortfolio(req, res) {
 
   }
 
+}
+
+// ==============================
+// 🔹 GET TRASH
+// ==============================
+
+export async function getTrash(req, res) {
+
+  try {
+
+    const portfolios =
+      getDB().collection("portfolios");
+
+    const filter =
+      trashQuery(req.user.id);
+
+    const paging =
+      parsePagination(req.query);
+
+    const [items, total] =
+      await Promise.all([
+
+        portfolios
+          .find(filter, {
+            projection: { ...LIST_PROJECTION, deletedAt: 1 }
+          })
+          .sort({ deletedAt: -1 })
+          .skip(paging.skip)
+          .limit(paging.limit)
+          .toArray(),
+
+        portfolios.countDocuments(filter),
+
+      ]);
+
+    res.json({
+      items: items.map((item) => ({
+        ...item,
+        purgeAt: purgeDate(item.deletedAt)
+      })),
+      ...pageInfo(paging, total)
+    });
+
+  } catch (err) {
+
+    console.error(
+      "TRASH ERROR:",
+      err
+    );
+
+    res.status(500).json({
+      error: "Failed to fetch trash"
+    });
+
+  }
+
+}
+
+// ==============================
+// 🔹 RESTORE FROM TRASH
+// ==============================
+
+export async function restorePortfolio(req, res) {
+
+  try {
+
+    const portfolios =
+      getDB().collection("portfolios");
+
+    await portfolios.updateOne(
+
+      ownedPortfolioQuery(
+        req.user.id,
+        req.portfolio._id,
+        { trashed: true }
+      ),
+
+      {
+        $unset: { deletedAt: "" }
+      }
+
+    );
+
+    res.json({
+      success: true
+    });
+
+  } catch (err) {
+
+    console.error(
+      "RESTORE ERROR:",
+      err
+    );
+
+    res.status(500).json({
+      error: "Failed to restore portfolio"
+    });
+
+  }
+
 }
\ No newline at end of file
@@ -0,0 +1,132 @@
+import { getDB } from "../config/db.js";
+import {
+  findOwnedPortfolio,
+  withItemIds,
+  etagOf,
+  bumpRevision,
+  notDeleted,
+} from "../services/portfolio.service.js";
+import {
+  contentOf,
+  recordVersion,
+  ensureBaselineVersion,
+} from "../services/portfolioVersion.service.js";
+import { SHARED_SECTIONS } from "../schemas/portfolio.schema.js";
+import { toObjectId } from "../utils/objectId.js";
+
+const DEFAULT_SYNC_SECTIONS = ["education", "certificates"];
+
+const portfolios = () => getDB().collection("portfolios");
+
+// Variant summary for dashboards; outdated = base edited since last sync
+const toVariantSummary = (variant, base) => ({
+  _id: variant._id,
+  title: variant.title,
+  role: variant.role,
+  createdAt: variant.createdAt,
+  updatedAt: variant.updatedAt,
+  baseSyncedAt: variant.baseSyncedAt || null,
+  baseChangedSinceSync:
+    !!base.updatedAt && base.updatedAt > (variant.baseSyncedAt || variant.createdAt),
+});
+
+// ==============================
+// 🔹 POST /portfolio/:id/clone — { title?, variant? = true }
+// ==============================
+export async function clonePortfolio(req, res) {
+  try {
+    const source = req.portfolio;
+    const { title, variant = true } = req.body;
+
+    const now = new Date();
+    const copy = {
+      ...withItemIds(contentOf(source)),
+      title: title || `${source.title || source.role || "Resume"} (copy)`,
+      userId: toObjectId(req.user.id),
+      createdAt: now,
+      updatedAt: now,
+      revision: 1,
+    };
+
+    if (variant) {
+      // Variants always hang off the root base, never off another variant
+      copy.baseId = source.baseId || source._id;
+      copy.baseSyncedAt = now;
+    }
+
+    const { insertedId } = await portfolios().insertOne(copy);
+    await recordVersion({ ...copy, _id: insertedId }, "create", {
+      clonedFrom: source._id,
+    });
+
+    res.json({ success: true, id: insertedId, baseId: copy.baseId || null });
+  } catch (err) {
+    console.error("❌ Clone portfolio error:", err.message);
+    res.status(500).json({ error: "Failed to clone portfolio" });
+  }
+}
+
+// ==============================
+// 🔹 GET /portfolio/:id/variants
+// ==============================
+export async function getVariants(req, res) {
+  try {
+    const base = req.portfolio;
+
+    const variants = await portfolios()
+      .find({ baseId: base._id, userId: base.userId, ...notDeleted })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.json({
+      base: { _id: base._id, title: base.title, role: base.role, updatedAt: base.updatedAt },
+      variants: variants.map((v) => toVariantSummary(v, base)),
+    });
+  } catch (err) {
+    console.error("❌ List variants error:", err.message);
+    res.status(500).json({ error: "Failed to fetch variants" });
+  }
+}
+
+// ==============================
+// 🔹 POST /portfolio/:id/sync-base — { sections?: ["education", ...] }
+// ==============================
+export async function syncFromBase(req, res) {
+  try {
+    const variant = req.portfolio;
+    if (!variant.baseId) {
+      return res.status(400).json({ error: "This resume is not a variant" });
+    }
+
+    const sections = req.body.sections?.length
+      ? [...new Set(req.body.sections)]
+      : DEFAULT_SYNC_SECTIONS;
+
+    const base = await findOwnedPortfolio(req.user.id, variant.baseId);
+    if (!base) {
+      return res.status(404).json({ error: "Base resume not found" });
+    }
+
+    const $set = { baseSyncedAt: new Date(), updatedAt: new Date() };
+    for (const section of sections) {
+      for (const field of SHARED_SECTIONS[section]) {
+        $set[field] = base[field] ?? null;
+      }
+    }
+
+    await ensureBaselineVersion(variant);
+
+    const updated = await portfolios().findOneAndUpdate(
+      { _id: variant._id },
+      { $set: withItemIds($set), $inc: bumpRevision },
+      { returnDocument: "after" }
+    );
+    const version = await recordVersion(updated, "sync-base", { sections });
+
+    res.set("ETag", etagOf(updated));
+    res.json({ success: true, version, portfolio: updated });
+  } catch (err) {
+    console.error("❌ Sync from base error:", err.message);
+    res.status(500).json({ error: "Failed to sync from base resume" });
+  }
+}
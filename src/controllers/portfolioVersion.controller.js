@@ -0,0 +1,133 @@
+import { getDB } from "../config/db.js";
+import {
+  CONTENT_FIELDS,
+  contentOf,
+  recordVersion,
+  ensureBaselineVersion,
+  listVersions,
+  findVersion,
+} from "../services/portfolioVersion.service.js";
+import {
+  withItemIds,
+  etagOf,
+  bumpRevision,
+} from "../services/portfolio.service.js";
+import { diffPortfolios } from "../utils/portfolioDiff.js";
+
+// :version must be a positive integer
+function parseVersion(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+// ==============================
+// 🔹 GET /portfolio/:id/versions
+// ==============================
+export async function getVersions(req, res) {
+  try {
+    await ensureBaselineVersion(req.portfolio);
+    const list = await listVersions(req.portfolio._id);
+
+    res.json(list);
+  } catch (err) {
+    console.error("❌ List versions error:", err.message);
+    res.status(500).json({ error: "Failed to fetch versions" });
+  }
+}
+
+// ==============================
+// 🔹 GET /portfolio/:id/versions/:version
+// ==============================
+export async function getVersion(req, res) {
+  try {
+    const version = parseVersion(req.params.version);
+    if (!version) return res.status(400).json({ error: "Invalid version" });
+
+    const doc = await findVersion(req.portfolio._id, version);
+    if (!doc) return res.status(404).json({ error: "Version not found" });
+
+    res.json(doc);
+  } catch (err) {
+    console.error("❌ Get version error:", err.message);
+    res.status(500).json({ error: "Failed to fetch version" });
+  }
+}
+
+// ==============================
+// 🔹 POST /portfolio/:id/versions/:version/restore
+// ==============================
+export async function restoreVersion(req, res) {
+  try {
+    const version = parseVersion(req.params.version);
+    if (!version) return res.status(400).json({ error: "Invalid version" });
+
+    const doc = await findVersion(req.portfolio._id, version);
+    if (!doc) return res.status(404).json({ error: "Version not found" });
+
+    await ensureBaselineVersion(req.portfolio);
+
+    // Fields the old version did not have are removed, not kept
+    const $unset = {};
+    for (const field of CONTENT_FIELDS) {
+      if (doc.content[field] === undefined) $unset[field] = "";
+    }
+
+    const portfolios = getDB().collection("portfolios");
+    const update = {
+      $set: { ...withItemIds(doc.content), updatedAt: new Date() },
+      $inc: bumpRevision,
+    };
+    if (Object.keys($unset).length) update.$unset = $unset;
+
+    const restored = await portfolios.findOneAndUpdate(
+      { _id: req.portfolio._id },
+      update,
+      { returnDocument: "after" }
+    );
+
+    const newVersion = await recordVersion(restored, "restore", {
+      restoredFrom: version,
+    });
+
+    res.set("ETag", etagOf(restored));
+    res.json({ success: true, version: newVersion, portfolio: restored });
+  } catch (err) {
+    console.error("❌ Restore version error:", err.message);
+    res.status(500).json({ error: "Failed to restore version" });
+  }
+}
+
+// ==============================
+// 🔹 GET /portfolio/:id/diff?from=3&to=5  (to defaults to the current resume)
+// ==============================
+export async function diffVersions(req, res) {
+  try {
+    const from = parseVersion(req.query.from);
+    if (!from) return res.status(400).json({ error: "Invalid 'from' version" });
+
+    const to = req.query.to === undefined ? null : parseVersion(req.query.to);
+    if (req.query.to !== undefined && !to) {
+      return res.status(400).json({ error: "Invalid 'to' version" });
+    }
+
+    const [fromDoc, toDoc] = await Promise.all([
+      findVersion(req.portfolio._id, from),
+      to ? findVersion(req.portfolio._id, to) : null,
+    ]);
+
+    if (!fromDoc || (to && !toDoc)) {
+      return res.status(404).json({ error: "Version not found" });
+    }
+
+    const after = toDoc ? toDoc.content : contentOf(req.portfolio);
+
+    res.json({
+      from,
+      to: to || "current",
+      ...diffPortfolios(fromDoc.content, after),
+    });
+  } catch (err) {
+    console.error("❌ Diff versions error:", err.message);
+    res.status(500).json({ error: "Failed to diff versions" });
+  }
+}
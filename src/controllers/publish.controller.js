@@ -0,0 +1,147 @@
+import { getDB } from "../config/db.js";
+import { APP_URL } from "../config/env.js";
+import {
+  PUBLIC_SECTIONS,
+  DEFAULT_CONTACT_FIELDS,
+  isReservedSlug,
+  suggestSlug,
+  toPublicView,
+  findPublishedBySlug,
+} from "../services/publicPortfolio.service.js";
+import { buildResumeHtml } from "./pdf.controller.js";
+import { escapeHtml } from "../utils/escapeHtml.js";
+
+const DUPLICATE_KEY = 11000;
+
+const portfolios = () => getDB().collection("portfolios");
+
+const publicUrl = (slug) => `${APP_URL}/p/${slug}`;
+
+const toSettings = (portfolio) => ({
+  published: !!portfolio.publication?.published,
+  slug: portfolio.publicSlug || null,
+  url: portfolio.publicSlug ? publicUrl(portfolio.publicSlug) : null,
+  sections: portfolio.publication?.sections || PUBLIC_SECTIONS,
+  contactFields: portfolio.publication?.contactFields || DEFAULT_CONTACT_FIELDS,
+  publishedAt: portfolio.publication?.publishedAt || null,
+});
+
+// ==============================
+// 🔹 GET /portfolio/:id/publish
+// ==============================
+export function getPublishSettings(req, res) {
+  res.json(toSettings(req.portfolio));
+}
+
+// ==============================
+// 🔹 PUT /portfolio/:id/publish — { slug?, sections?, contactFields? }
+// ==============================
+export async function publishPortfolio(req, res) {
+  try {
+    const portfolio = req.portfolio;
+    const current = toSettings(portfolio);
+    const { slug, sections, contactFields } = req.body;
+
+    if (slug && isReservedSlug(slug)) {
+      return res.status(409).json({ error: "This address is reserved" });
+    }
+
+    const publicSlug = slug || portfolio.publicSlug || (await suggestSlug(portfolio));
+
+    const publication = {
+      published: true,
+      sections: sections ?? current.sections,
+      contactFields: contactFields ?? current.contactFields,
+      publishedAt: portfolio.publication?.published
+        ? portfolio.publication.publishedAt
+        : new Date(),
+    };
+
+    let updated;
+    try {
+      updated = await portfolios().findOneAndUpdate(
+        { _id: portfolio._id },
+        { $set: { publicSlug, publication } },
+        { returnDocument: "after" }
+      );
+    } catch (err) {
+      if (err.code === DUPLICATE_KEY) {
+        return res.status(409).json({ error: "This address is already taken" });
+      }
+      throw err;
+    }
+
+    res.json({ success: true, ...toSettings(updated) });
+  } catch (err) {
+    console.error("❌ Publish error:", err.message);
+    res.status(500).json({ error: "Failed to publish portfolio" });
+  }
+}
+
+// ==============================
+// 🔹 DELETE /portfolio/:id/publish — slug stays reserved for re-publishing
+// ==============================
+export async function unpublishPortfolio(req, res) {
+  try {
+    await portfolios().updateOne(
+      { _id: req.portfolio._id },
+      {
+        $set: {
+          "publication.published": false,
+          "publication.unpublishedAt": new Date(),
+        },
+      }
+    );
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Unpublish error:", err.message);
+    res.status(500).json({ error: "Failed to unpublish portfolio" });
+  }
+}
+
+// ==============================
+// 🔹 GET /p/:slug — public JSON, or HTML for browsers / ?format=html
+// ==============================
+export async function getPublicPortfolio(req, res) {
+  try {
+    // Never let a proxy keep serving a page after it was unpublished
+    res.setHeader("Cache-Control", "no-cache");
+
+    const slug = String(req.params.slug).toLowerCase();
+    const portfolio = await findPublishedBySlug(slug);
+
+    const format =
+      req.query.format === "html" || req.query.format === "json"
+        ? req.query.format
+        : req.accepts(["json", "html"]);
+
+    if (!portfolio) {
+      return format === "html"
+        ? res.status(404).type("html").send("<h1>Not found</h1>")
+        : res.status(404).json({ error: "Portfolio not found" });
+    }
+
+    const view = toPublicView(portfolio);
+
+    if (format !== "html") return res.json(view);
+
+    const title = escapeHtml(view.name || view.title || "Resume");
+    const html = buildResumeHtml(view, view.summary || "", {
+      locale: req.acceptsLanguages()[0],
+    }).replace(
+      "<head>",
+      `<head>\n<title>${title}</title>\n<meta name="viewport" content="width=device-width, initial-scale=1"/>`
+    );
+
+    // User content is escaped, the CSP is a second line of defence
+    res.setHeader(
+      "Content-Security-Policy",
+      "default-src 'none'; style-src 'unsafe-inline'; img-src https: data:"
+    );
+    res.type("html").send(html);
+  } catch (err) {
+    console.error("❌ Public portfolio error:", err.message);
+    res.status(500).json({ error: "Failed to load portfolio" });
+  }
+}
@@ -0,0 +1,54 @@
+import { extractText } from "../services/documentText.service.js";
+import { parseResumeText } from "../services/resumeParser.service.js";
+import { parseLinkedInExport } from "../services/linkedinImport.service.js";
+import { recordUsage, USAGE } from "../services/usage.service.js";
+
+// Less text than this is a scanned (image-only) or empty document
+const MIN_TEXT_LENGTH = 50;
+
+// ==============================
+// 🔹 POST /portfolio/import/file[?ai=true] — multipart "file": PDF or DOCX
+// ==============================
+// Returns a draft for the user to review; nothing is saved.
+export async function importResumeFile(req, res) {
+  try {
+    const { text, error } = await extractText(req.file);
+    if (error) return res.status(422).json({ error });
+
+    if (text.trim().length < MIN_TEXT_LENGTH) {
+      return res.status(422).json({
+        error: "No text found in the file; scanned documents aren't supported",
+      });
+    }
+
+    const useAi = req.query.ai === "true";
+    const draft = await parseResumeText(text, { useAi });
+    if (draft.usedAi) await recordUsage(req.user.id, USAGE.AI_GENERATE);
+
+    res.json({
+      portfolio: draft.portfolio,
+      confidence: draft.confidence,
+      sources: draft.sources,
+      warnings: draft.warnings,
+    });
+  } catch (err) {
+    console.error("❌ Resume file import error:", err.message);
+    res.status(500).json({ error: "Failed to import resume file" });
+  }
+}
+
+// ==============================
+// 🔹 POST /portfolio/import/linkedin — multipart "file": LinkedIn data export ZIP
+// ==============================
+// Returns a draft for the user to review; nothing is saved.
+export async function importLinkedIn(req, res) {
+  try {
+    const result = await parseLinkedInExport(req.file.buffer);
+    if (result.error) return res.status(422).json({ error: result.error });
+
+    res.json(result);
+  } catch (err) {
+    console.error("❌ LinkedIn import error:", err.message);
+    res.status(500).json({ error: "Failed to import LinkedIn export" });
+  }
+}
@@ -0,0 +1,125 @@
+import bcrypt from "bcryptjs";
+import { getDB } from "../config/db.js";
+import {
+  isTwoFactorEnabled,
+  beginEnrollment,
+  verifyTotp,
+  activateTwoFactor,
+  consumeSecondFactor,
+  replaceRecoveryCodes,
+  disableTwoFactor,
+} from "../services/twoFactor.service.js";
+import { toObjectId } from "../utils/objectId.js";
+
+const findCurrentUser = (req) =>
+  getDB().collection("users").findOne({ _id: toObjectId(req.user.id) });
+
+// ==============================
+// 🔹 POST /auth/2fa/setup — returns the otpauth:// URI for the QR code
+// ==============================
+export async function setupTwoFactor(req, res) {
+  try {
+    const user = await findCurrentUser(req);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    if (isTwoFactorEnabled(user)) {
+      return res.status(400).json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    const { secret, otpauthUri } = await beginEnrollment(user);
+
+    res.json({ success: true, secret, otpauthUri });
+  } catch (err) {
+    console.error("❌ 2FA setup error:", err.message);
+    res.status(500).json({ error: "Failed to start two-factor setup" });
+  }
+}
+
+// ==============================
+// 🔹 POST /auth/2fa/activate — first valid code turns 2FA on
+// ==============================
+export async function activateTwoFactorAuth(req, res) {
+  try {
+    const user = await findCurrentUser(req);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    if (isTwoFactorEnabled(user)) {
+      return res.status(400).json({ error: "Two-factor authentication is already enabled" });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ error: "Start two-factor setup first" });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+
+    const recoveryCodes = await activateTwoFactor(user, step);
+
+    // Shown once; only hashes are kept
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    console.error("❌ 2FA activate error:", err.message);
+    res.status(500).json({ error: "Failed to enable two-factor authentication" });
+  }
+}
+
+// ==============================
+// 🔹 POST /auth/2fa/disable — password + code (or recovery code)
+// ==============================
+export async function disableTwoFactorAuth(req, res) {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await findCurrentUser(req);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    if (!isTwoFactorEnabled(user)) {
+      return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    const validPassword =
+      typeof password === "string" &&
+      (await bcrypt.compare(password, user.password));
+    if (!validPassword) {
+      return res.status(400).json({ error: "Password is incorrect" });
+    }
+
+    if (!(await consumeSecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+
+    await disableTwoFactor(user._id);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ 2FA disable error:", err.message);
+    res.status(500).json({ error: "Failed to disable two-factor authentication" });
+  }
+}
+
+// ==============================
+// 🔹 POST /auth/2fa/recovery-codes — replaces all recovery codes
+// ==============================
+export async function regenerateRecoveryCodes(req, res) {
+  try {
+    const user = await findCurrentUser(req);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    if (!isTwoFactorEnabled(user)) {
+      return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    if (!(await consumeSecondFactor(user, { code: req.body.code }))) {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(user._id);
+
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    console.error("❌ 2FA recovery codes error:", err.message);
+    res.status(500).json({ error: "Failed to generate recovery codes" });
+  }
+}
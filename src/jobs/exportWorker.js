@@ -0,0 +1,44 @@
+import {
+  claimNextJob,
+  requeueStaleJobs,
+  runExportJob,
+  purgeExpiredExports,
+} from "../services/dataExport.service.js";
+
+const POLL_INTERVAL_MS = 30 * 1000;
+
+let running = false;
+
+async function work() {
+  // One export at a time: each one drives a headless browser
+  if (running) return;
+  running = true;
+
+  try {
+    const requeued = await requeueStaleJobs();
+    if (requeued) console.log(`🔁 Requeued ${requeued} stalled data export(s)`);
+
+    let job;
+    while ((job = await claimNextJob())) {
+      await runExportJob(job);
+    }
+
+    const purged = await purgeExpiredExports();
+    if (purged) console.log(`🧹 Removed ${purged} expired data export(s)`);
+  } catch (err) {
+    console.error("❌ Export worker error:", err.message);
+  } finally {
+    running = false;
+  }
+}
+
+// Runs once at startup, then polls for queued exports
+export function startExportWorker() {
+  work();
+  setInterval(work, POLL_INTERVAL_MS).unref();
+}
+
+// Picks up a just-queued export without waiting for the next poll
+export function kickExportWorker() {
+  work();
+}
@@ -0,0 +1,28 @@
+import {
+  TRASH_RETENTION_DAYS,
+  TRASH_SWEEP_INTERVAL_MINUTES,
+} from "../config/env.js";
+import { purgeExpiredTrash } from "../services/portfolio.service.js";
+
+let running = false;
+
+async function sweep() {
+  // A slow sweep must not overlap with the next tick
+  if (running) return;
+  running = true;
+
+  try {
+    const purged = await purgeExpiredTrash(TRASH_RETENTION_DAYS);
+    if (purged) console.log(`🧹 Purged ${purged} resume(s) from the trash`);
+  } catch (err) {
+    console.error("❌ Trash sweep error:", err.message);
+  } finally {
+    running = false;
+  }
+}
+
+// Runs once at startup, then every TRASH_SWEEP_INTERVAL_MINUTES
+export function startTrashSweeper() {
+  sweep();
+  setInterval(sweep, TRASH_SWEEP_INTERVAL_MINUTES * 60 * 1000).unref();
+}
@@ -1,7 +1,47 @@
 import jwt from "jsonwebtoken";
-import { JWT_SECRET } from "../config/env.js";
+import { getDB } from "../config/db.js";
+import { JWT_SECRET, UNVERIFIED_BLOCKED_ACTIONS } from "../config/env.js";
+import { isSessionActive } from "../services/session.service.js";
+import {
+  isAccessToken,
+  findActiveAccessToken,
+} from "../services/accessToken.service.js";
+import { toObjectId } from "../utils/objectId.js";
+import { roleOf } from "../config/roles.js";
 
-export function authMiddleware(req, res, next) {
+// Browser login: JWT bound to a live session
+async function fromSessionToken(authToken) {
+  let decoded;
+  try {
+    decoded = jwt.verify(authToken, JWT_SECRET);
+  } catch (err) {
+    return { error: "Invalid token" };
+  }
+
+  // ❌ Logged out / revoked session (or a pre-session legacy token)
+  if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+    return { error: "Session expired" };
+  }
+
+  return { claims: { ...decoded, authType: "session" } };
+}
+
+// Scripts: personal access token, limited to its scopes
+async function fromAccessToken(authToken) {
+  const pat = await findActiveAccessToken(authToken);
+  if (!pat) return { error: "Invalid token" };
+
+  return {
+    claims: {
+      id: pat.userId.toString(),
+      authType: "pat",
+      tokenId: pat._id.toString(),
+      scopes: pat.scopes,
+    },
+  };
+}
+
+export async function authMiddleware(req, res, next) {
   const authToken = req.headers.authorization?.split(" ")[1];
 
   // ❌ No token
@@ -9,11 +49,102 @@ export function authMiddleware(req, res, next) {
     return res.status(401).json({ error: "Unauthorized" });
   }
 
+  let result;
+  let user;
   try {
-    const decoded = jwt.verify(authToken, JWT_SECRET);
-    req.user = decoded; // attach user
-    next();
+    result = isAccessToken(authToken)
+      ? await fromAccessToken(authToken)
+      : await fromSessionToken(authToken);
+
+    if (result.claims) {
+      user = await getDB().collection("users").findOne(
+        { _id: toObjectId(result.claims.id) },
+        { projection: { verified: 1, role: 1, disabled: 1 } }
+      );
+    }
   } catch (err) {
-    return res.status(401).json({ error: "Invalid token" });
+    console.error("❌ Session check error:", err.message);
+    return res.status(500).json({ error: "Authentication failed" });
+  }
+
+  if (result.error) {
+    return res.status(401).json({ error: result.error });
+  }
+
+  // ❌ Account no longer exists
+  if (!user) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  // ❌ Disabled by an admin
+  if (user.disabled) {
+    return res
+      .status(403)
+      .json({ error: "Account disabled", code: "ACCOUNT_DISABLED" });
   }
+
+  // attach user; accounts created before verification existed count as verified
+  req.user = {
+    ...result.claims,
+    verified: user.verified !== false,
+    role: roleOf(user),
+  };
+  next();
+}
+
+/**
+ * Allows only the listed roles. Use after authMiddleware.
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (roles.includes(req.user?.role)) return next();
+
+    return res.status(403).json({ error: "Forbidden" });
+  };
+}
+
+/**
+ * Rejects personal access tokens: for account management (profile,
+ * password, 2FA, tokens themselves) a real login is required.
+ */
+export function sessionOnly(req, res, next) {
+  if (req.user?.authType === "session") return next();
+
+  return res
+    .status(403)
+    .json({ error: "This action requires signing in with your password" });
+}
+
+/**
+ * Personal access tokens must carry `scope`; session logins have every
+ * scope. Use after authMiddleware.
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.user?.authType === "session" || req.user?.scopes?.includes(scope)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      error: `Token is missing the "${scope}" scope`,
+      code: "INSUFFICIENT_SCOPE",
+    });
+  };
+}
+
+/**
+ * Blocks `action` for unverified accounts when it is listed in
+ * UNVERIFIED_BLOCKED_ACTIONS. Use after authMiddleware.
+ */
+export function requireVerified(action) {
+  return (req, res, next) => {
+    if (req.user?.verified || !UNVERIFIED_BLOCKED_ACTIONS.includes(action)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      error: "Please verify your email address first",
+      code: "EMAIL_NOT_VERIFIED",
+    });
+  };
 }
@@ -0,0 +1,28 @@
+import { ObjectId } from "mongodb";
+import { findOwnedCoverLetter } from "../services/coverLetter.service.js";
+
+/**
+ * Loads the caller's cover letter named by :id into req.coverLetter.
+ * 400 for a malformed id; 404 when missing or owned by someone else.
+ * Use after authMiddleware.
+ */
+export async function loadOwnedCoverLetter(req, res, next) {
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    return res.status(400).json({ error: "Invalid cover letter ID" });
+  }
+
+  try {
+    const coverLetter = await findOwnedCoverLetter(req.user.id, id);
+    if (!coverLetter) {
+      return res.status(404).json({ error: "Cover letter not found" });
+    }
+
+    req.coverLetter = coverLetter;
+    next();
+  } catch (err) {
+    console.error("❌ Cover letter lookup error:", err.message);
+    res.status(500).json({ error: "Failed to fetch cover letter" });
+  }
+}
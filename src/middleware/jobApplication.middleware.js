@@ -0,0 +1,28 @@
+import { ObjectId } from "mongodb";
+import { findOwnedApplication } from "../services/jobApplication.service.js";
+
+/**
+ * Loads the caller's job application named by :id into req.application.
+ * 400 for a malformed id; 404 when missing or owned by someone else.
+ * Use after authMiddleware.
+ */
+export async function loadOwnedApplication(req, res, next) {
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    return res.status(400).json({ error: "Invalid application ID" });
+  }
+
+  try {
+    const application = await findOwnedApplication(req.user.id, id);
+    if (!application) {
+      return res.status(404).json({ error: "Application not found" });
+    }
+
+    req.application = application;
+    next();
+  } catch (err) {
+    console.error("❌ Application lookup error:", err.message);
+    res.status(500).json({ error: "Failed to fetch application" });
+  }
+}
@@ -0,0 +1,85 @@
+import { ObjectId } from "mongodb";
+import { findOwnedPortfolio } from "../services/portfolio.service.js";
+
+function loadPortfolio({ trashed }) {
+  return async (req, res, next) => {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid Resume ID" });
+    }
+
+    try {
+      const portfolio = await findOwnedPortfolio(req.user.id, id, { trashed });
+      if (!portfolio) {
+        return res.status(404).json({ error: "Resume not found" });
+      }
+
+      req.portfolio = portfolio;
+      next();
+    } catch (err) {
+      console.error("❌ Portfolio lookup error:", err.message);
+      res.status(500).json({ error: "Failed to fetch portfolio" });
+    }
+  };
+}
+
+/**
+ * Loads the caller's portfolio named by :id into req.portfolio.
+ * 400 for a malformed id; 404 when missing *or* owned by someone else, so
+ * ids of other users' resumes can't be probed. Use after authMiddleware.
+ * Resumes in the trash count as missing.
+ */
+export const loadOwnedPortfolio = loadPortfolio({ trashed: false });
+
+// Same, but only finds resumes that are in the trash
+export const loadTrashedPortfolio = loadPortfolio({ trashed: true });
+
+// `"3"` or `W/"3"`, as sent back from the ETag of a read
+const ETAG_PATTERN = /^(?:W\/)?"(\d+)"$/;
+
+function readRevision({ required }) {
+  return (req, res, next) => {
+    const ifMatch = req.get("If-Match")?.trim();
+
+    if (ifMatch === "*") {
+      req.expectedRevision = null;
+      return next();
+    }
+
+    let revision;
+    if (ifMatch) {
+      const match = ETAG_PATTERN.exec(ifMatch);
+      if (!match) return res.status(400).json({ error: "Invalid If-Match header" });
+      revision = Number(match[1]);
+    } else {
+      revision = req.body?.revision;
+      if (revision === undefined) {
+        if (!required) {
+          req.expectedRevision = null;
+          return next();
+        }
+        return res.status(428).json({
+          error: "Send the resume's revision as If-Match or a 'revision' field",
+        });
+      }
+      if (!Number.isSafeInteger(revision) || revision < 0) {
+        return res.status(400).json({ error: "Invalid revision" });
+      }
+    }
+
+    req.expectedRevision = revision;
+    next();
+  };
+}
+
+/**
+ * Reads the revision the client last saw into req.expectedRevision, from
+ * If-Match or else a `revision` body field. 428 when neither is sent, so a
+ * blind overwrite is refused; `If-Match: *` opts out (req.expectedRevision
+ * is null). Use before validateBody, which strips unknown fields.
+ */
+export const requireRevision = readRevision({ required: true });
+
+// Same, but without a revision req.expectedRevision is null
+export const acceptRevision = readRevision({ required: false });
@@ -0,0 +1,67 @@
+import { getRateLimitStore } from "../services/rateLimit.service.js";
+
+const keyResolvers = {
+  ip: (req) => req.ip,
+  email: (req) =>
+    typeof req.body?.email === "string"
+      ? req.body.email.trim().toLowerCase()
+      : null,
+  user: (req) => req.user?.id,
+};
+
+const secondsUntil = (date) =>
+  Math.max(0, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+// 429 with Retry-After; shared with the login lockout
+export function sendTooManyRequests(res, resetAt, error) {
+  res.setHeader("Retry-After", secondsUntil(resetAt));
+  return res.status(429).json({
+    error: error || "Too many requests, please try again later",
+  });
+}
+
+/**
+ * Fixed-window limiter. Each identity in `keyBy` is counted separately and
+ * the most exhausted one decides; RateLimit-* headers describe that one.
+ * Put it after authMiddleware when keying by "user".
+ */
+export function rateLimit({ name, windowMs, max, keyBy = ["ip"] }) {
+  return async (req, res, next) => {
+    try {
+      const store = getRateLimitStore();
+      let tightest = null;
+
+      for (const kind of keyBy) {
+        const value = keyResolvers[kind](req);
+        if (!value) continue;
+
+        const { count, resetAt } = await store.hit(
+          `${name}:${kind}:${value}`,
+          windowMs
+        );
+        const remaining = max - count;
+
+        if (!tightest || remaining < tightest.remaining) {
+          tightest = { remaining, resetAt };
+        }
+      }
+
+      if (!tightest) return next();
+
+      res.setHeader("RateLimit-Policy", `${max};w=${Math.round(windowMs / 1000)}`);
+      res.setHeader("RateLimit-Limit", max);
+      res.setHeader("RateLimit-Remaining", Math.max(0, tightest.remaining));
+      res.setHeader("RateLimit-Reset", secondsUntil(tightest.resetAt));
+
+      if (tightest.remaining < 0) {
+        return sendTooManyRequests(res, tightest.resetAt);
+      }
+
+      next();
+    } catch (err) {
+      // Fail open: a broken limiter store must not take the API down
+      console.error("❌ Rate limit error:", err.message);
+      next();
+    }
+  };
+}
@@ -0,0 +1,41 @@
+import path from "path";
+import multer from "multer";
+
+const MB = 1024 * 1024;
+
+/**
+ * Accepts one file in `field`, kept in memory as req.file. `types` maps
+ * allowed extensions to their MIME types, e.g. { ".pdf": ["application/pdf"] };
+ * either the extension or the MIME type has to match, since browsers
+ * report some types inconsistently. 400 for a missing or wrong file, 413
+ * when it is larger than `maxMb`.
+ */
+export function uploadFile({ field = "file", types, maxMb = 5 }) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxMb * MB, files: 1 },
+    fileFilter(req, file, cb) {
+      const ext = path.extname(file.originalname || "").toLowerCase();
+      const allowed =
+        Object.hasOwn(types, ext) || Object.values(types).flat().includes(file.mimetype);
+      cb(null, allowed);
+    },
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err?.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({ error: `File must be at most ${maxMb} MB` });
+      }
+      if (err) {
+        return res.status(400).json({ error: err.message || "Invalid upload" });
+      }
+      if (!req.file) {
+        return res.status(400).json({
+          error: `Upload a ${Object.keys(types).join(" or ")} file in the "${field}" field`,
+        });
+      }
+      next();
+    });
+  };
+}
@@ -0,0 +1,21 @@
+import { validate } from "../utils/schema.js";
+
+/**
+ * Replaces req.body with its validated, unknown-field-free copy, or answers
+ * 422 listing every invalid field path.
+ */
+export function validateBody(schema, options) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body ?? {}, options);
+
+    if (errors.length) {
+      return res.status(422).json({
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+}
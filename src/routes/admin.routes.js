@@ -0,0 +1,30 @@
+import { Router } from "express";
+import {
+  authMiddleware,
+  sessionOnly,
+  requireRole,
+} from "../middleware/auth.middleware.js";
+import {
+  listUsers,
+  getUser,
+  setUserRole,
+  disableUser,
+  enableUser,
+  forceLogoutUser,
+} from "../controllers/admin.controller.js";
+
+const router = Router();
+
+// Reviewers can look, only admins can act
+const canView = [authMiddleware, sessionOnly, requireRole("reviewer", "admin")];
+const canManage = [authMiddleware, sessionOnly, requireRole("admin")];
+
+router.get("/users", canView, listUsers);
+router.get("/users/:id", canView, getUser);
+
+router.patch("/users/:id/role", canManage, setUserRole);
+router.post("/users/:id/disable", canManage, disableUser);
+router.post("/users/:id/enable", canManage, enableUser);
+router.post("/users/:id/logout", canManage, forceLogoutUser);
+
+export default router;
@@ -1,6 +1,47 @@
 import { Router } from "express";
-import { generateSummary } from "../controllers/ai.controller.js";
+import {
+  authMiddleware,
+  requireScope,
+  requireRole,
+} from "../middleware/auth.middleware.js";
+import { validateBody } from "../middleware/validate.middleware.js";
+import { rateLimit } from "../middleware/rateLimit.middleware.js";
+import { RATE_LIMITS } from "../config/rateLimits.js";
+import { summarySchema } from "../schemas/ai.schema.js";
+import {
+  generateSummary,
+  generateResumeSummary,
+} from "../controllers/ai.controller.js";
 
 const router = Router();
-router.post("/generate", generateSummary);
+
+const canGenerate = [
+  authMiddleware,
+  requireScope("ai:generate"),
+  rateLimit(RATE_LIMITS.ai),
+];
+
+// Reading a saved resume also needs the read scope
+const canReadResume = (req, res, next) =>
+  req.body?.portfolioId ? requireScope("portfolio:read")(req, res, next) : next();
+
+router.post(
+  "/summary",
+  canGenerate,
+  validateBody(summarySchema),
+  canReadResume,
+  generateResumeSummary
+);
+
+// Raw prompts would turn the AI key into a free chatbot: admins only,
+// for trying out prompts
+router.post(
+  "/generate",
+  authMiddleware,
+  requireRole("admin"),
+  requireScope("ai:generate"),
+  rateLimit(RATE_LIMITS.ai),
+  generateSummary
+);
+
 export default router;
@@ -1,9 +1,98 @@
 import { Router } from "express";
-import { register, login } from "../controllers/auth.controller.js";
+import {
+  authMiddleware,
+  sessionOnly,
+} from "../middleware/auth.middleware.js";
+import { rateLimit } from "../middleware/rateLimit.middleware.js";
+import { RATE_LIMITS } from "../config/rateLimits.js";
+import {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  loginTwoFactor,
+} from "../controllers/auth.controller.js";
+import {
+  getMe,
+  updateMe,
+  changePassword,
+  deleteMe,
+} from "../controllers/account.controller.js";
+import {
+  setupTwoFactor,
+  activateTwoFactorAuth,
+  disableTwoFactorAuth,
+  regenerateRecoveryCodes,
+} from "../controllers/twoFactor.controller.js";
+import {
+  listTokens,
+  createToken,
+  revokeToken,
+} from "../controllers/accessToken.controller.js";
+import {
+  requestExport,
+  listExports,
+  getExport,
+  downloadExport,
+} from "../controllers/dataExport.controller.js";
 
 const router = Router();
 
-router.post("/register", register);
-router.post("/login", login);
+const limitLogin = rateLimit(RATE_LIMITS.login);
+const limitEmail = rateLimit(RATE_LIMITS.authEmail);
+const limitToken = rateLimit(RATE_LIMITS.authToken);
+
+// Account routes refuse personal access tokens
+const requireSession = [authMiddleware, sessionOnly];
+
+router.post("/register", limitEmail, register);
+router.post("/login", limitLogin, login);
+router.post("/login/2fa", limitLogin, loginTwoFactor);
+router.post("/refresh", limitToken, refresh);
+router.post("/forgot-password", limitEmail, forgotPassword);
+router.post("/reset-password", limitToken, resetPassword);
+router.get("/verify-email", limitToken, verifyEmail);
+router.post("/verify-email", limitToken, verifyEmail);
+router.post(
+  "/resend-verification",
+  requireSession,
+  limitEmail,
+  resendVerification
+);
+router.post("/logout", requireSession, logout);
+router.post("/logout-all", requireSession, logoutAll);
+
+// Account self-service
+router.get("/me", requireSession, getMe);
+router.patch("/me", requireSession, updateMe);
+router.delete("/me", requireSession, deleteMe);
+router.post("/change-password", requireSession, changePassword);
+
+// Data export (takeout); the download link is signed, so it needs no login
+router.post(
+  "/me/exports",
+  requireSession,
+  rateLimit(RATE_LIMITS.dataExport),
+  requestExport
+);
+router.get("/me/exports", requireSession, listExports);
+router.get("/me/exports/:id", requireSession, getExport);
+router.get("/me/exports/:id/download", limitToken, downloadExport);
+
+// Two-factor authentication (TOTP)
+router.post("/2fa/setup", requireSession, setupTwoFactor);
+router.post("/2fa/activate", requireSession, activateTwoFactorAuth);
+router.post("/2fa/disable", requireSession, disableTwoFactorAuth);
+router.post("/2fa/recovery-codes", requireSession, regenerateRecoveryCodes);
+
+// Personal access tokens
+router.get("/tokens", requireSession, listTokens);
+router.post("/tokens", requireSession, createToken);
+router.delete("/tokens/:id", requireSession, revokeToken);
 
 export default router;
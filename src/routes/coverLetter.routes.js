@@ -0,0 +1,60 @@
+import { Router } from "express";
+import {
+  authMiddleware,
+  requireScope,
+  requireVerified,
+} from "../middleware/auth.middleware.js";
+import { loadOwnedCoverLetter } from "../middleware/coverLetter.middleware.js";
+import { validateBody } from "../middleware/validate.middleware.js";
+import { rateLimit } from "../middleware/rateLimit.middleware.js";
+import { RATE_LIMITS } from "../config/rateLimits.js";
+import { coverLetterSchema, draftSchema } from "../schemas/coverLetter.schema.js";
+import {
+  createCoverLetter,
+  getCoverLetters,
+  getCoverLetter,
+  updateCoverLetter,
+  deleteCoverLetter,
+  draftCoverLetter,
+  exportCoverLetterPdf,
+} from "../controllers/coverLetter.controller.js";
+
+const router = Router();
+
+// Cover letters are documents like resumes and share their scopes
+const canRead = [authMiddleware, requireScope("portfolio:read")];
+const canWrite = [authMiddleware, requireScope("portfolio:write")];
+
+const readOwn = [...canRead, loadOwnedCoverLetter];
+const writeOwn = [...canWrite, loadOwnedCoverLetter];
+
+router.post("/", canWrite, validateBody(coverLetterSchema), createCoverLetter);
+router.get("/", canRead, getCoverLetters);
+
+router.get("/:id", readOwn, getCoverLetter);
+router.patch(
+  "/:id",
+  writeOwn,
+  validateBody(coverLetterSchema, { partial: true }),
+  updateCoverLetter
+);
+router.delete("/:id", writeOwn, deleteCoverLetter);
+
+router.post(
+  "/:id/draft",
+  writeOwn,
+  requireScope("ai:generate"),
+  rateLimit(RATE_LIMITS.ai),
+  validateBody(draftSchema),
+  draftCoverLetter
+);
+router.get(
+  "/:id/pdf",
+  readOwn,
+  requireScope("pdf:export"),
+  requireVerified("pdf:export"),
+  rateLimit(RATE_LIMITS.pdf),
+  exportCoverLetterPdf
+);
+
+export default router;
@@ -0,0 +1,36 @@
+import { Router } from "express";
+import { authMiddleware, requireScope } from "../middleware/auth.middleware.js";
+import { loadOwnedApplication } from "../middleware/jobApplication.middleware.js";
+import { validateBody } from "../middleware/validate.middleware.js";
+import { jobApplicationSchema } from "../schemas/jobApplication.schema.js";
+import {
+  createApplication,
+  getApplications,
+  getApplicationStats,
+  getApplication,
+  updateApplication,
+  deleteApplication,
+} from "../controllers/jobApplication.controller.js";
+
+const router = Router();
+
+const canRead = [authMiddleware, requireScope("applications:read")];
+const canWrite = [authMiddleware, requireScope("applications:write")];
+
+const readOwn = [...canRead, loadOwnedApplication];
+const writeOwn = [...canWrite, loadOwnedApplication];
+
+router.post("/", canWrite, validateBody(jobApplicationSchema), createApplication);
+router.get("/", canRead, getApplications);
+router.get("/stats", canRead, getApplicationStats);
+
+router.get("/:id", readOwn, getApplication);
+router.patch(
+  "/:id",
+  writeOwn,
+  validateBody(jobApplicationSchema, { partial: true }),
+  updateApplication
+);
+router.delete("/:id", writeOwn, deleteApplication);
+
+export default router;
@@ -1,8 +1,22 @@
 import express from "express";
+import {
+  authMiddleware,
+  requireScope,
+  requireVerified,
+} from "../middleware/auth.middleware.js";
+import { rateLimit } from "../middleware/rateLimit.middleware.js";
+import { RATE_LIMITS } from "../config/rateLimits.js";
 import { exportPdf } from "../controllers/pdf.controller.js";
 
 const router = express.Router();
 
-router.post("/export", exportPdf);
+router.post(
+  "/export",
+  authMiddleware,
+  requireScope("pdf:export"),
+  requireVerified("pdf:export"),
+  rateLimit(RATE_LIMITS.pdf),
+  exportPdf
+);
 
 export default router;
@@ -1,29 +1,152 @@
-import { Router } from "express";
-import { authMiddleware } from "../middleware/auth.middleware.js";
+import express, { Router } from "express";
+import {
+  authMiddleware,
+  requireScope,
+  requireVerified,
+} from "../middleware/auth.middleware.js";
+import {
+  loadOwnedPortfolio,
+  loadTrashedPortfolio,
+  requireRevision,
+  acceptRevision,
+} from "../middleware/portfolio.middleware.js";
+import { validateBody } from "../middleware/validate.middleware.js";
+import { uploadFile } from "../middleware/upload.middleware.js";
+import { rateLimit } from "../middleware/rateLimit.middleware.js";
+import { RATE_LIMITS } from "../config/rateLimits.js";
+import { DOCUMENT_TYPES } from "../services/documentText.service.js";
+import { ZIP_TYPES } from "../services/linkedinImport.service.js";
+import {
+  portfolioSchema,
+  cloneSchema,
+  syncBaseSchema,
+  publishSchema,
+} from "../schemas/portfolio.schema.js";
 
 import {
   savePortfolio,
   getPortfolios,
   getPortfolioById,
   updatePortfolio,
-  deletePortfolio
+  patchPortfolio,
+  deletePortfolio,
+  getTrash,
+  restorePortfolio
 } from "../controllers/portfolio.controller.js";
+import {
+  getVersions,
+  getVersion,
+  restoreVersion,
+  diffVersions,
+} from "../controllers/portfolioVersion.controller.js";
+import {
+  clonePortfolio,
+  getVariants,
+  syncFromBase,
+} from "../controllers/portfolioVariant.controller.js";
+import {
+  getPublishSettings,
+  publishPortfolio,
+  unpublishPortfolio,
+} from "../controllers/publish.controller.js";
+import {
+  importJsonResume,
+  exportJsonResume,
+} from "../controllers/jsonResume.controller.js";
+import {
+  importResumeFile,
+  importLinkedIn,
+} from "../controllers/resumeImport.controller.js";
 
 const router = Router();
 
+const canRead = [authMiddleware, requireScope("portfolio:read")];
+const canWrite = [authMiddleware, requireScope("portfolio:write")];
+const validPortfolio = validateBody(portfolioSchema);
+
+// ?ai=true imports also need the AI scope and count against the AI limit
+const ifAi = (middleware) => (req, res, next) =>
+  req.query.ai === "true" ? middleware(req, res, next) : next();
+
+// Every /:id route goes through the ownership check
+const readOwn = [...canRead, loadOwnedPortfolio];
+const writeOwn = [...canWrite, loadOwnedPortfolio];
+
 // Create
-router.post("/", authMiddleware, savePortfolio);
+router.post("/", canWrite, validPortfolio, savePortfolio);
 
 // Get all
-router.get("/", authMiddleware, getPortfolios);
+router.get("/", canRead, getPortfolios);
+
+// JSON Resume (https://jsonresume.org) import / export
+router.post("/import/json-resume", canWrite, importJsonResume);
+router.get("/:id/export/json-resume", readOwn, exportJsonResume);
+
+// PDF / DOCX upload -> draft portfolio (not saved)
+router.post(
+  "/import/file",
+  canWrite,
+  ifAi(requireScope("ai:generate")),
+  ifAi(rateLimit(RATE_LIMITS.ai)),
+  uploadFile({ types: DOCUMENT_TYPES }),
+  importResumeFile
+);
+
+// LinkedIn "Download your data" ZIP -> draft portfolio (not saved)
+router.post(
+  "/import/linkedin",
+  canWrite,
+  uploadFile({ types: ZIP_TYPES, maxMb: 25 }),
+  importLinkedIn
+);
+
+// Trash (before /:id so "trash" isn't taken for an id)
+router.get("/trash", canRead, getTrash);
+router.post(
+  "/:id/restore",
+  canWrite,
+  loadTrashedPortfolio,
+  restorePortfolio
+);
 
 // Get one
-router.get("/:id", authMiddleware, getPortfolioById);
+router.get("/:id", readOwn, getPortfolioById);
+
+// Update (needs If-Match or a `revision` field)
+router.put("/:id", writeOwn, requireRevision, validPortfolio, updatePortfolio);
+
+// Partial update: JSON Patch or { operations: [...] } (If-Match optional)
+router.patch(
+  "/:id",
+  express.json({ type: "application/json-patch+json", limit: "2mb" }),
+  writeOwn,
+  acceptRevision,
+  patchPortfolio
+);
+
+// Delete (to the trash)
+router.delete("/:id", writeOwn, deletePortfolio);
+
+// Version history
+router.get("/:id/versions", readOwn, getVersions);
+router.get("/:id/versions/:version", readOwn, getVersion);
+router.post("/:id/versions/:version/restore", writeOwn, restoreVersion);
+router.get("/:id/diff", readOwn, diffVersions);
 
-// Update
-router.put("/:id", authMiddleware, updatePortfolio);
+// Clones and tailored variants
+router.post("/:id/clone", writeOwn, validateBody(cloneSchema), clonePortfolio);
+router.get("/:id/variants", readOwn, getVariants);
+router.post("/:id/sync-base", writeOwn, validateBody(syncBaseSchema), syncFromBase);
 
-// Delete
-router.delete("/:id", authMiddleware, deletePortfolio);
+// Public page (GET /p/:slug)
+router.get("/:id/publish", readOwn, getPublishSettings);
+router.put(
+  "/:id/publish",
+  writeOwn,
+  requireVerified("portfolio:publish"),
+  validateBody(publishSchema),
+  publishPortfolio
+);
+router.delete("/:id/publish", writeOwn, unpublishPortfolio);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+import { Router } from "express";
+import { rateLimit } from "../middleware/rateLimit.middleware.js";
+import { RATE_LIMITS } from "../config/rateLimits.js";
+import { getPublicPortfolio } from "../controllers/publish.controller.js";
+
+// Unauthenticated, read-only views of published portfolios
+const router = Router();
+
+router.get("/:slug", rateLimit(RATE_LIMITS.publicPage), getPublicPortfolio);
+
+export default router;
@@ -0,0 +1,17 @@
+import { t } from "../utils/schema.js";
+import { AI_TONES, AI_LENGTHS } from "../utils/aiText.js";
+import { portfolioSchema } from "./portfolio.schema.js";
+
+// POST /ai/summary — a saved resume (portfolioId) or the unsaved editor form
+export const summarySchema = t.object({
+  portfolioId: t.string({
+    max: 24,
+    pattern: /^[a-f\d]{24}$/i,
+    patternMessage: "must be a resume id",
+  }),
+  form: portfolioSchema,
+  tone: t.string({ max: 20, enum: AI_TONES }),
+  length: t.string({ max: 10, enum: AI_LENGTHS }),
+  // Role the summary should pitch for; defaults to the resume's own
+  targetRole: t.string({ max: 150 }),
+});
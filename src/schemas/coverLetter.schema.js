@@ -0,0 +1,26 @@
+import { t } from "../utils/schema.js";
+import { AI_TONES, AI_LENGTHS } from "../utils/aiText.js";
+
+const objectId = (what) =>
+  t.string({ max: 24, pattern: /^[a-f\d]{24}$/i, patternMessage: `must be ${what} id` });
+
+// POST /cover-letters (PATCH validates the same fields as partial)
+export const coverLetterSchema = t.object({
+  // The resume whose header and experience the letter uses
+  portfolioId: objectId("a resume"),
+  // Optional job application; its company, role and job description are
+  // used for drafting when the letter has none of its own
+  applicationId: objectId("an application"),
+  title: t.string({ max: 120 }),
+  company: t.string({ max: 150 }),
+  role: t.string({ max: 150 }),
+  hiringManager: t.string({ max: 150 }),
+  jobDescription: t.string({ max: 20000 }),
+  body: t.string({ max: 10000 }),
+});
+
+// POST /cover-letters/:id/draft
+export const draftSchema = t.object({
+  tone: t.string({ max: 20, enum: AI_TONES }),
+  length: t.string({ max: 10, enum: AI_LENGTHS }),
+});
@@ -0,0 +1,35 @@
+import { t } from "../utils/schema.js";
+
+// Pipeline order; "rejected" can follow any stage
+export const APPLICATION_STATUSES = ["saved", "applied", "interview", "offer", "rejected"];
+
+// Calendar days as the date inputs send them
+const day = t.string({
+  max: 10,
+  pattern: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+  patternMessage: "must be a date as YYYY-MM-DD",
+});
+
+// POST /applications (PATCH validates the same fields as partial)
+export const jobApplicationSchema = t.object({
+  company: t.string({ max: 150, required: true }),
+  role: t.string({ max: 150, required: true }),
+  postingUrl: t.string({
+    max: 500,
+    pattern: /^https?:\/\//i,
+    patternMessage: "must be an http(s) URL",
+  }),
+  jobDescription: t.string({ max: 20000 }),
+  status: t.string({ max: 20, enum: APPLICATION_STATUSES }),
+  // The resume sent; must be one of the caller's own
+  portfolioId: t.string({
+    max: 24,
+    pattern: /^[a-f\d]{24}$/i,
+    patternMessage: "must be a resume id",
+  }),
+  appliedOn: day,
+  followUpOn: day,
+  notes: t.string({ max: 5000 }),
+  // Recorded with the status change in the history
+  statusNote: t.string({ max: 500 }),
+});
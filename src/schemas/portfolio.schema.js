@@ -0,0 +1,164 @@
+import { t } from "../utils/schema.js";
+import {
+  PUBLIC_SECTIONS,
+  CONTACT_FIELDS,
+  SLUG_PATTERN,
+} from "../services/publicPortfolio.service.js";
+
+// Free-text blocks (activities, descriptions, summary)
+const LONG_TEXT = 5000;
+const URL = { max: 300 };
+
+// List sections whose entries carry a stable `id` (assigned on save when
+// missing), so PATCH can address an entry wherever it has moved to
+export const ITEM_SECTIONS = ["experience", "projects", "education", "certificates"];
+export const ITEM_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+const itemId = t.string({
+  max: 40,
+  pattern: ITEM_ID_PATTERN,
+  patternMessage: "must be 1-40 letters, digits, hyphens or underscores",
+});
+
+const month = t.number({ integer: true, min: 1, max: 12 });
+
+// { year: 2021, month: 3 }; month may be null when only the year is known
+const monthYear = t.object({
+  year: t.number({ integer: true, min: 1900, max: 2100, required: true }),
+  month,
+});
+
+const experience = t.object({
+  id: itemId,
+  role: t.string({ max: 100 }),
+  company: t.string({ max: 100 }),
+  start: monthYear,
+  end: monthYear, // left empty while `current`
+  current: t.boolean(),
+  // Free text from before start / end existed; shown only without a start
+  duration: t.string({ max: 50 }),
+  activities: t.string({ max: LONG_TEXT }),
+});
+
+const project = t.object({
+  id: itemId,
+  name: t.string({ max: 150 }),
+  description: t.string({ max: LONG_TEXT }),
+  link: t.string(URL),
+  keyPoints: t.array(t.string({ max: 500 }), { max: 20 }),
+  technologies: t.string({ max: 500 }),
+});
+
+const education = t.object({
+  id: itemId,
+  institute: t.string({ max: 200 }),
+  eduType: t.string({ max: 100 }),
+  eduTypeOther: t.string({ max: 100 }),
+  department: t.string({ max: 150 }),
+  startYear: t.string({ max: 20 }),
+  startMonth: month,
+  endYear: t.string({ max: 20 }),
+  endMonth: month,
+  scoreType: t.string({ max: 30 }),
+  score: t.string({ max: 30 }),
+});
+
+const certificate = t.object({
+  id: itemId,
+  title: t.string({ max: 200 }),
+  issuedBy: t.string({ max: 200 }),
+  issuedOn: t.string({ max: 50 }),
+  credential: t.string(URL),
+});
+
+const language = t.object({
+  language: t.string({ max: 50 }),
+  read: t.boolean(),
+  write: t.boolean(),
+  speak: t.boolean(),
+});
+
+/**
+ * Everything a client may store on a portfolio. Server-owned fields
+ * (_id, userId, createdAt, updatedAt) are not part of it.
+ */
+export const portfolioSchema = t.object({
+  // Dashboard label and filter tags for this resume
+  title: t.string({ max: 120 }),
+  tags: t.array(t.string({ max: 30 }), { max: 20 }),
+
+  // Personal info
+  name: t.string({ max: 100 }),
+  role: t.string({ max: 100 }),
+  city: t.string({ max: 100 }),
+  state: t.string({ max: 100 }),
+  pincode: t.string({ max: 20 }),
+  emailId: t.string({ max: 254 }),
+  phoneNo: t.string({ max: 30 }),
+  linkedIn: t.string(URL),
+  portfolioLink: t.string(URL),
+
+  // Summary as typed, and as generated by /ai (the name /pdf/export uses)
+  summary: t.string({ max: LONG_TEXT }),
+  gensummary: t.string({ max: LONG_TEXT }),
+
+  experience: t.array(experience, { max: 30 }),
+  projects: t.array(project, { max: 30 }),
+  education: t.array(education, { max: 20 }),
+  certificates: t.array(certificate, { max: 50 }),
+  skills: t.array(t.string({ max: 60 }), { max: 100 }),
+  languages: t.array(language, { max: 20 }),
+
+  // Additional info / availability
+  nationality: t.string({ max: 60 }),
+  availabilityType: t.string({ max: 50 }),
+  noticePeriod: t.string({ max: 50 }),
+  availableFromDate: t.string({ max: 30 }),
+});
+
+// POST /portfolio/:id/clone
+export const cloneSchema = t.object({
+  title: t.string({ max: 120 }),
+  variant: t.boolean(),
+});
+
+// Sections a variant can pull from its base, and the fields in each
+export const SHARED_SECTIONS = {
+  education: ["education"],
+  certificates: ["certificates"],
+  languages: ["languages"],
+  contact: [
+    "name",
+    "city",
+    "state",
+    "pincode",
+    "emailId",
+    "phoneNo",
+    "linkedIn",
+    "portfolioLink",
+    "nationality",
+  ],
+};
+
+// POST /portfolio/:id/sync-base
+export const syncBaseSchema = t.object({
+  sections: t.array(t.string({ enum: Object.keys(SHARED_SECTIONS) }), {
+    max: Object.keys(SHARED_SECTIONS).length,
+  }),
+});
+
+// PUT /portfolio/:id/publish
+export const publishSchema = t.object({
+  slug: t.string({
+    max: 60,
+    pattern: SLUG_PATTERN,
+    patternMessage:
+      "must be 3-60 lowercase letters, digits or hyphens, not starting or ending with a hyphen",
+  }),
+  sections: t.array(t.string({ enum: PUBLIC_SECTIONS }), {
+    max: PUBLIC_SECTIONS.length,
+  }),
+  contactFields: t.array(t.string({ enum: CONTACT_FIELDS }), {
+    max: CONTACT_FIELDS.length,
+  }),
+});
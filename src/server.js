@@ -1,10 +1,16 @@
 import app from "./app.js";
 import { connectDB } from "./config/db.js";
+import { ensureIndexes } from "./config/indexes.js";
+import { startTrashSweeper } from "./jobs/trashSweeper.js";
+import { startExportWorker } from "./jobs/exportWorker.js";
 import { PORT } from "./config/env.js";
 import dotenv from "dotenv";
 dotenv.config();
 
 await connectDB();
+await ensureIndexes();
+startTrashSweeper();
+startExportWorker();
 
 app.listen(PORT || 4000, () =>
   console.log(`Server running on http://localhost:${PORT || 4000}`)
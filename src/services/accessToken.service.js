@@ -0,0 +1,100 @@
+import { ObjectId } from "mongodb";
+import { getDB } from "../config/db.js";
+import { randomToken, hashToken } from "../utils/tokens.js";
+import { toObjectId } from "../utils/objectId.js";
+
+// Lets authMiddleware tell PATs from JWTs without trying to decode them
+export const TOKEN_PREFIX = "arb_pat_";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+const tokens = () => getDB().collection("access_tokens");
+
+export const isAccessToken = (token) => token.startsWith(TOKEN_PREFIX);
+
+// Listing shape: never includes the hash
+const toPublicToken = (doc) => ({
+  id: doc._id,
+  name: doc.name,
+  scopes: doc.scopes,
+  hint: doc.hint,
+  createdAt: doc.createdAt,
+  lastUsedAt: doc.lastUsedAt,
+  expiresAt: doc.expiresAt,
+});
+
+export async function countAccessTokens(userId) {
+  return tokens().countDocuments({ userId: toObjectId(userId), revokedAt: null });
+}
+
+// Returns the plain token (shown once) and its public record
+export async function createAccessToken(userId, { name, scopes, expiresInDays }) {
+  const token = TOKEN_PREFIX + randomToken(24);
+  const now = new Date();
+
+  const doc = {
+    userId: toObjectId(userId),
+    name,
+    scopes,
+    tokenHash: hashToken(token),
+    hint: token.slice(-4),
+    createdAt: now,
+    lastUsedAt: null,
+    expiresAt: expiresInDays
+      ? new Date(now.getTime() + expiresInDays * DAY_MS)
+      : null,
+    revokedAt: null,
+  };
+  const { insertedId } = await tokens().insertOne(doc);
+
+  return { token, record: toPublicToken({ ...doc, _id: insertedId }) };
+}
+
+export async function listAccessTokens(userId) {
+  const docs = await tokens()
+    .find({ userId: toObjectId(userId), revokedAt: null })
+    .sort({ createdAt: -1 })
+    .toArray();
+
+  return docs.map(toPublicToken);
+}
+
+export async function revokeAccessToken(userId, tokenId) {
+  if (!ObjectId.isValid(tokenId)) return false;
+
+  const { modifiedCount } = await tokens().updateOne(
+    { _id: new ObjectId(tokenId), userId: toObjectId(userId), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  return modifiedCount > 0;
+}
+
+export async function revokeAllAccessTokens(userId) {
+  const { modifiedCount } = await tokens().updateMany(
+    { userId: toObjectId(userId), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  return modifiedCount;
+}
+
+// Resolves a presented token to its record and stamps lastUsedAt
+export async function findActiveAccessToken(token) {
+  const now = new Date();
+
+  const doc = await tokens().findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+  });
+  if (!doc) return null;
+
+  // Only write when the stamp is stale, not on every request
+  if (!doc.lastUsedAt || now - doc.lastUsedAt > LAST_USED_PRECISION_MS) {
+    await tokens().updateOne({ _id: doc._id }, { $set: { lastUsedAt: now } });
+  }
+
+  return doc;
+}
@@ -0,0 +1,41 @@
+import { getDB } from "../config/db.js";
+import { toObjectId } from "../utils/objectId.js";
+
+// Matches documents whose userId was stored as ObjectId or as a string
+export const ownedBy = (userId) => ({
+  userId: { $in: [toObjectId(userId), String(userId)] },
+});
+
+// Every collection holding per-user documents keyed by `userId`
+const OWNED_COLLECTIONS = [
+  "portfolios",
+  "portfolio_versions",
+  "sessions",
+  "password_resets",
+  "access_tokens",
+  "usage_events",
+  "data_exports",
+  "job_applications",
+  "cover_letters",
+];
+
+/**
+ * Permanently removes a user and everything they own.
+ * Returns how many documents were removed per collection.
+ */
+export async function deleteAccount(userId) {
+  const db = getDB();
+  const _id = toObjectId(userId);
+
+  const removed = {};
+
+  for (const name of OWNED_COLLECTIONS) {
+    const { deletedCount } = await db.collection(name).deleteMany(ownedBy(userId));
+    removed[name] = deletedCount;
+  }
+
+  const { deletedCount } = await db.collection("users").deleteOne({ _id });
+  removed.users = deletedCount;
+
+  return removed;
+}
@@ -0,0 +1,55 @@
+import { ObjectId } from "mongodb";
+import { getDB } from "../config/db.js";
+import { ownedBy } from "./account.service.js";
+import { describePortfolio } from "../utils/aiText.js";
+
+export const coverLetters = () => getDB().collection("cover_letters");
+
+// Characters of the job description quoted in the prompt
+const MAX_JOB_DESCRIPTION = 4000;
+
+// Words asked for per requested length
+const LENGTH_WORDS = { short: 150, medium: 250, long: 350 };
+
+export async function findOwnedCoverLetter(userId, id) {
+  if (!ObjectId.isValid(id)) return null;
+  return coverLetters().findOne({ _id: new ObjectId(id), ...ownedBy(userId) });
+}
+
+// List shape; body and job description only come with the single letter
+export const LIST_PROJECTION = { body: 0, jobDescription: 0 };
+
+/**
+ * The letter's target job: its own company / role / job description,
+ * each falling back to the linked job application's, and who it goes to.
+ */
+export function targetJob(letter, application) {
+  return {
+    company: letter.company || application?.company || "",
+    role: letter.role || application?.role || "",
+    jobDescription: letter.jobDescription || application?.jobDescription || "",
+    hiringManager: letter.hiringManager || "",
+  };
+}
+
+// `tone` / `length` as accepted by draftSchema
+export function coverLetterPrompt(portfolio, job, { tone, length } = {}) {
+  const target = [job.role, job.company && `at ${job.company}`].filter(Boolean).join(" ");
+
+  return `Write a ${tone || "professional"} cover letter of about ${
+    LENGTH_WORDS[length] || LENGTH_WORDS.medium
+  } words${
+    target ? ` for the position of ${target}` : ""
+  }, from the candidate below.
+Start with the greeting ("Dear ${job.hiringManager || "Hiring Manager"},") and end with a closing and the candidate's name.
+Use only facts from the resume; pick the experience and projects that best fit the job.
+Plain text, paragraphs separated by blank lines, no placeholders such as [Company].
+
+Resume:
+${describePortfolio(portfolio)}
+${
+  job.jobDescription
+    ? `\nJob description:\n"""\n${job.jobDescription.slice(0, MAX_JOB_DESCRIPTION)}\n"""\n`
+    : ""
+}`;
+}
@@ -0,0 +1,354 @@
+import fs from "fs/promises";
+import path from "path";
+import jwt from "jsonwebtoken";
+import JSZip from "jszip";
+import { ObjectId } from "mongodb";
+import { getDB } from "../config/db.js";
+import {
+  JWT_SECRET,
+  API_URL,
+  EXPORT_DIR,
+  EXPORT_TTL_HOURS,
+} from "../config/env.js";
+import { buildResumeHtml } from "../controllers/pdf.controller.js";
+import { ownedBy } from "./account.service.js";
+import { slugify } from "./publicPortfolio.service.js";
+import { USAGE } from "./usage.service.js";
+import { sendMail, greeting, htmlGreeting } from "./mail.service.js";
+import { getBrowser, renderPdf } from "../utils/browser.js";
+import { toObjectId } from "../utils/objectId.js";
+
+/**
+ * Full account takeout. A request queues a job in `data_exports`; the
+ * export worker builds a ZIP under EXPORT_DIR and mails a signed download
+ * link. Files and job records are removed EXPORT_TTL_HOURS after they finish.
+ */
+
+export const EXPORT_STATUS = {
+  PENDING: "pending",
+  RUNNING: "running",
+  READY: "ready",
+  FAILED: "failed",
+};
+
+const PURPOSE = "data-export";
+const HOUR = 60 * 60 * 1000;
+
+// A job still "running" after this long belongs to a crashed worker
+const STALE_AFTER_MS = 30 * 60 * 1000;
+
+const dataExports = () => getDB().collection("data_exports");
+
+const exportPath = (job) => path.join(EXPORT_DIR, `${job._id}.zip`);
+
+const json = (value) => JSON.stringify(value, null, 2);
+
+// Returns { job, created }; a job already queued or running is reused
+export async function createExportJob(userId) {
+  const active = await dataExports().findOne({
+    ...ownedBy(userId),
+    status: { $in: [EXPORT_STATUS.PENDING, EXPORT_STATUS.RUNNING] },
+  });
+  if (active) return { job: active, created: false };
+
+  const job = {
+    userId: toObjectId(userId),
+    status: EXPORT_STATUS.PENDING,
+    createdAt: new Date(),
+  };
+  const { insertedId } = await dataExports().insertOne(job);
+
+  return { job: { ...job, _id: insertedId }, created: true };
+}
+
+export function listExportJobs(userId, limit = 20) {
+  return dataExports()
+    .find(ownedBy(userId))
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+export function findExportJob(userId, id) {
+  return dataExports().findOne({ _id: toObjectId(id), ...ownedBy(userId) });
+}
+
+// Oldest pending job, marked running so no other worker takes it
+export function claimNextJob() {
+  return dataExports().findOneAndUpdate(
+    { status: EXPORT_STATUS.PENDING },
+    { $set: { status: EXPORT_STATUS.RUNNING, startedAt: new Date() } },
+    { sort: { createdAt: 1 }, returnDocument: "after" }
+  );
+}
+
+export async function requeueStaleJobs() {
+  const { modifiedCount } = await dataExports().updateMany(
+    {
+      status: EXPORT_STATUS.RUNNING,
+      startedAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) },
+    },
+    { $set: { status: EXPORT_STATUS.PENDING }, $unset: { startedAt: "" } }
+  );
+  return modifiedCount;
+}
+
+// ==============================
+// 🔹 Download links
+// ==============================
+
+// Signed link token, valid until the file is removed
+function createDownloadToken(job) {
+  const expiresIn = Math.max(1, Math.floor((job.expiresAt - Date.now()) / 1000));
+  return jwt.sign(
+    { id: job._id.toString(), userId: job.userId.toString(), purpose: PURPOSE },
+    JWT_SECRET,
+    { expiresIn }
+  );
+}
+
+export function downloadUrl(job) {
+  return `${API_URL}/auth/me/exports/${job._id}/download?token=${createDownloadToken(job)}`;
+}
+
+/**
+ * The ready job `token` was issued for, with the path of its file,
+ * or null when the token is invalid or the export has expired.
+ */
+export async function findDownload(id, token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ""), JWT_SECRET);
+  } catch {
+    return null;
+  }
+  if (decoded.purpose !== PURPOSE || decoded.id !== String(id)) return null;
+
+  const job = await dataExports().findOne({
+    _id: toObjectId(decoded.id),
+    ...ownedBy(decoded.userId),
+    status: EXPORT_STATUS.READY,
+    expiresAt: { $gt: new Date() },
+  });
+
+  return job && { job, file: exportPath(job) };
+}
+
+// ==============================
+// 🔹 Archive
+// ==============================
+
+// The user document minus the password hash and two-factor secrets
+function accountRecord(user) {
+  const { password, twoFactor, ...account } = user;
+  if (twoFactor?.enabled) {
+    account.twoFactor = { enabled: true, enabledAt: twoFactor.enabledAt };
+  }
+  return account;
+}
+
+const summaryOf = (portfolio) =>
+  String(portfolio.summary || portfolio.gensummary || "").replace(/\*/g, "");
+
+/**
+ * account.json, portfolios/<n>-<slug>.json and .pdf for every resume
+ * (trashed ones included), ai-generations.json, job-applications.json,
+ * cover-letters.json and a manifest.json listing what went in. A resume
+ * whose PDF fails to render is noted in the manifest instead of failing
+ * the whole export.
+ */
+async function buildArchive(user) {
+  const db = getDB();
+  const zip = new JSZip();
+
+  const resumes = await db
+    .collection("portfolios")
+    .find(ownedBy(user._id))
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  const aiRequests = await db
+    .collection("usage_events")
+    .find({ ...ownedBy(user._id), type: USAGE.AI_GENERATE })
+    .sort({ at: 1 })
+    .project({ _id: 0, at: 1 })
+    .toArray();
+
+  const applications = await db
+    .collection("job_applications")
+    .find(ownedBy(user._id))
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  const letters = await db
+    .collection("cover_letters")
+    .find(ownedBy(user._id))
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  zip.file("account.json", json(accountRecord(user)));
+  zip.file("job-applications.json", json(applications));
+  zip.file("cover-letters.json", json(letters));
+
+  const manifest = { exportedAt: new Date(), portfolios: [] };
+  const summaries = [];
+
+  const browser = resumes.length ? await getBrowser() : null;
+  try {
+    for (const [i, portfolio] of resumes.entries()) {
+      const title = portfolio.title || portfolio.name || "resume";
+      const base = `portfolios/${String(i + 1).padStart(2, "0")}-${slugify(title) || "resume"}`;
+
+      zip.file(`${base}.json`, json(portfolio));
+
+      const entry = {
+        id: portfolio._id,
+        title,
+        deletedAt: portfolio.deletedAt || null,
+        json: `${base}.json`,
+        pdf: null,
+      };
+
+      try {
+        const pdf = await renderPdf(browser, buildResumeHtml(portfolio, summaryOf(portfolio)));
+        zip.file(`${base}.pdf`, pdf);
+        entry.pdf = `${base}.pdf`;
+      } catch (err) {
+        console.error("❌ Export PDF error:", err.message);
+        entry.pdfError = "The PDF could not be rendered";
+      }
+
+      manifest.portfolios.push(entry);
+
+      if (portfolio.gensummary) {
+        summaries.push({
+          portfolioId: portfolio._id,
+          title,
+          summary: portfolio.gensummary,
+          updatedAt: portfolio.updatedAt,
+        });
+      }
+    }
+  } finally {
+    await browser?.close();
+  }
+
+  zip.file("ai-generations.json", json({ summaries, requests: aiRequests }));
+  zip.file("manifest.json", json(manifest));
+
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+async function sendExportReadyMail(user, job) {
+  const link = downloadUrl(job);
+
+  await sendMail({
+    to: user.email,
+    subject: "Your data export is ready",
+    text:
+      `${greeting(user)}\n\n` +
+      `The export of your account data is ready. Download it here:\n\n` +
+      `${link}\n\n` +
+      `The link works for ${EXPORT_TTL_HOURS} hours.`,
+    html:
+      htmlGreeting(user) +
+      `<p>The export of your account data is ready.</p>` +
+      `<p><a href="${link}">Download your data</a></p>` +
+      `<p>The link works for ${EXPORT_TTL_HOURS} hours.</p>`,
+  });
+}
+
+// Builds the archive for a claimed job and records the outcome on it
+export async function runExportJob(job) {
+  const expiresAt = () => new Date(Date.now() + EXPORT_TTL_HOURS * HOUR);
+
+  let ready;
+  try {
+    const user = await getDB().collection("users").findOne({ _id: toObjectId(job.userId) });
+    if (!user) throw new Error("User not found");
+
+    const archive = await buildArchive(user);
+    await fs.mkdir(EXPORT_DIR, { recursive: true });
+    await fs.writeFile(exportPath(job), archive);
+
+    ready = await dataExports().findOneAndUpdate(
+      { _id: job._id },
+      {
+        $set: {
+          status: EXPORT_STATUS.READY,
+          finishedAt: new Date(),
+          expiresAt: expiresAt(),
+          size: archive.length,
+          fileName: `resume-builder-export-${new Date().toISOString().slice(0, 10)}.zip`,
+        },
+      },
+      { returnDocument: "after" }
+    );
+
+    // The export is usable from the API even if the mail can't go out
+    try {
+      await sendExportReadyMail(user, ready);
+    } catch (err) {
+      console.error("❌ Export mail error:", err.message);
+    }
+  } catch (err) {
+    console.error("❌ Data export error:", err.message);
+    await dataExports().updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: EXPORT_STATUS.FAILED,
+          finishedAt: new Date(),
+          expiresAt: expiresAt(),
+          error: "The export could not be created",
+        },
+      }
+    );
+  }
+
+  return ready;
+}
+
+/**
+ * Removes expired jobs with their files, plus files no job points at any
+ * more (e.g. of deleted accounts). Files of live jobs are never touched,
+ * however old. Returns how many jobs were removed.
+ */
+export async function purgeExpiredExports() {
+  const now = new Date();
+  const expired = await dataExports()
+    .find({ expiresAt: { $lte: now } })
+    .project({ _id: 1 })
+    .toArray();
+
+  for (const job of expired) {
+    await fs.rm(exportPath(job), { force: true });
+  }
+  if (expired.length) {
+    await dataExports().deleteMany({ _id: { $in: expired.map((job) => job._id) } });
+  }
+
+  let files = [];
+  try {
+    files = await fs.readdir(EXPORT_DIR);
+  } catch {
+    // Nothing exported yet
+  }
+
+  // Archives are named after their job's id
+  const ids = files.map((name) => path.parse(name).name).filter(ObjectId.isValid);
+  const live = await dataExports()
+    .find({ _id: { $in: ids.map(toObjectId) } })
+    .project({ _id: 1 })
+    .toArray();
+  const liveIds = new Set(live.map((job) => String(job._id)));
+
+  for (const name of files) {
+    if (liveIds.has(path.parse(name).name)) continue;
+
+    // force: another instance may have removed it since readdir
+    await fs.rm(path.join(EXPORT_DIR, name), { force: true });
+  }
+
+  return expired.length;
+}
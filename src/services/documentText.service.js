@@ -0,0 +1,33 @@
+import mammoth from "mammoth";
+// The package entry runs a self-test when loaded as ESM; the library itself doesn't
+import pdfParse from "pdf-parse/lib/pdf-parse.js";
+
+export const DOCUMENT_TYPES = {
+  ".pdf": ["application/pdf"],
+  ".docx": ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+};
+
+// Decided by content, not by the name or MIME type the client sent
+const isPdf = (buffer) => buffer.subarray(0, 5).toString("latin1") === "%PDF-";
+const isZip = (buffer) => buffer.subarray(0, 4).toString("latin1") === "PK\x03\x04";
+
+/**
+ * Plain text of an uploaded PDF or DOCX (a multer file). Returns
+ * { text } or { error } for files that aren't one of those or can't be read.
+ */
+export async function extractText(file) {
+  try {
+    if (isPdf(file.buffer)) {
+      const { text } = await pdfParse(file.buffer);
+      return { text };
+    }
+    if (isZip(file.buffer)) {
+      const { value } = await mammoth.extractRawText({ buffer: file.buffer });
+      return { text: value };
+    }
+    return { error: "Only PDF and DOCX files are supported" };
+  } catch (err) {
+    console.error("❌ Text extraction error:", err.message);
+    return { error: "The file could not be read" };
+  }
+}
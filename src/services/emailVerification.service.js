@@ -0,0 +1,58 @@
+import jwt from "jsonwebtoken";
+import { getDB } from "../config/db.js";
+import {
+  JWT_SECRET,
+  APP_URL,
+  EMAIL_VERIFICATION_TTL,
+} from "../config/env.js";
+import { toObjectId } from "../utils/objectId.js";
+import { sendMail, greeting, htmlGreeting } from "./mail.service.js";
+
+const PURPOSE = "verify-email";
+
+// Signed link token; bound to the address so it dies if the email changes
+export function createVerificationToken(user) {
+  return jwt.sign(
+    { id: user._id.toString(), email: user.email, purpose: PURPOSE },
+    JWT_SECRET,
+    { expiresIn: EMAIL_VERIFICATION_TTL }
+  );
+}
+
+export async function sendVerificationMail(user) {
+  const link =
+    `${APP_URL}/verify-email?token=${createVerificationToken(user)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text:
+      `${greeting(user)}\n\n` +
+      `Please confirm your email address by opening the link below:\n\n` +
+      `${link}\n\n` +
+      `If you did not create an account, you can ignore this email.`,
+    html:
+      htmlGreeting(user) +
+      `<p>Please confirm your email address:</p>` +
+      `<p><a href="${link}">Verify email</a></p>` +
+      `<p>If you did not create an account, you can ignore this email.</p>`,
+  });
+}
+
+// Returns true when the token was valid and the account is now verified
+export async function verifyEmailToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ""), JWT_SECRET);
+  } catch {
+    return false;
+  }
+  if (decoded.purpose !== PURPOSE) return false;
+
+  const { matchedCount } = await getDB().collection("users").updateOne(
+    { _id: toObjectId(decoded.id), email: decoded.email },
+    { $set: { verified: true, emailVerifiedAt: new Date() } }
+  );
+
+  return matchedCount > 0;
+}
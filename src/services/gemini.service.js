@@ -10,9 +10,11 @@ const openai = new OpenAI({
   },
 });
 
+// maxTokens: raise it for answers longer than a summary (e.g. parsed JSON)
 export async function generateWithRetry(
   prompt,
-  retries = 3
+  retries = 3,
+  { maxTokens = 250 } = {}
 ) {
 
   for (let i = 0; i < retries; i++) {
@@ -39,7 +41,7 @@ export async function generateWithRetry(
             },
           ],
 
-          max_tokens: 250,
+          max_tokens: maxTokens,
 
         });
 
@@ -0,0 +1,93 @@
+import { ObjectId } from "mongodb";
+import { getDB } from "../config/db.js";
+import { ownedBy } from "./account.service.js";
+import { APPLICATION_STATUSES } from "../schemas/jobApplication.schema.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+
+export const jobApplications = () => getDB().collection("job_applications");
+
+// The stages an application moves through, in order
+const PIPELINE = APPLICATION_STATUSES.filter((status) => status !== "rejected");
+
+const MAX_SEARCH_LENGTH = 100;
+
+export async function findOwnedApplication(userId, id) {
+  if (!ObjectId.isValid(id)) return null;
+  return jobApplications().findOne({ _id: new ObjectId(id), ...ownedBy(userId) });
+}
+
+// One entry of `statusHistory`
+export const statusChange = (status, note) => ({
+  status,
+  at: new Date(),
+  ...(note ? { note } : {}),
+});
+
+// List shape; the job description is only sent with the single application
+export const LIST_PROJECTION = { jobDescription: 0, statusHistory: 0 };
+
+/**
+ * Translates GET /applications query params (?status=applied,interview
+ * &portfolioId= &q=) into a Mongo filter. Returns { error } for invalid params.
+ */
+export function buildApplicationQuery(userId, query) {
+  const filter = ownedBy(userId);
+
+  const statuses = String(query.status || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const unknown = statuses.filter((s) => !APPLICATION_STATUSES.includes(s));
+  if (unknown.length) {
+    return { error: `status must be one of: ${APPLICATION_STATUSES.join(", ")}` };
+  }
+  if (statuses.length) filter.status = { $in: statuses };
+
+  if (query.portfolioId !== undefined) {
+    if (!ObjectId.isValid(query.portfolioId)) return { error: "Invalid portfolioId" };
+    filter.portfolioId = new ObjectId(query.portfolioId);
+  }
+
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+  if (q.length > MAX_SEARCH_LENGTH) {
+    return { error: `q must be at most ${MAX_SEARCH_LENGTH} characters` };
+  }
+  if (q) {
+    const pattern = { $regex: escapeRegex(q), $options: "i" };
+    filter.$or = [{ company: pattern }, { role: pattern }];
+  }
+
+  return { filter };
+}
+
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 100) / 100 : null);
+
+/**
+ * Funnel for one user: how many applications are at each status now, how
+ * many ever reached each pipeline stage (reaching "interview" counts as
+ * having applied), and the conversion between consecutive stages.
+ */
+export async function applicationStats(userId) {
+  const apps = await jobApplications()
+    .find(ownedBy(userId), { projection: { status: 1, "statusHistory.status": 1 } })
+    .toArray();
+
+  const byStatus = Object.fromEntries(APPLICATION_STATUSES.map((s) => [s, 0]));
+  const reached = Object.fromEntries(PIPELINE.map((s) => [s, 0]));
+
+  for (const app of apps) {
+    byStatus[app.status] = (byStatus[app.status] || 0) + 1;
+
+    const seen = [app.status, ...(app.statusHistory || []).map((h) => h.status)];
+    const furthest = Math.max(...seen.map((s) => PIPELINE.indexOf(s)));
+    PIPELINE.slice(0, furthest + 1).forEach((stage) => reached[stage]++);
+  }
+
+  const conversion = {};
+  for (let i = 1; i < PIPELINE.length; i++) {
+    const [from, to] = [PIPELINE[i - 1], PIPELINE[i]];
+    conversion[`${from}To${to[0].toUpperCase()}${to.slice(1)}`] = rate(reached[to], reached[from]);
+  }
+
+  return { total: apps.length, byStatus, reached, conversion };
+}
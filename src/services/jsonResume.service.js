@@ -0,0 +1,299 @@
+import { normalizeEducationArray } from "../utils/normalizeEducation.js";
+import { parseMonthYear } from "../utils/resumeDates.js";
+
+/**
+ * Mapping between portfolios and the JSON Resume standard
+ * (https://jsonresume.org/schema). Both directions return the fields that
+ * have no counterpart as `unmapped` paths, e.g. "work[0].location", so
+ * the client can tell the user what was left behind.
+ */
+
+// "2019", "2019-04" or "2019-04-01"
+const ISO_DATE = /^(\d{4})(?:-(\d{2}))?(?:-\d{2})?$/;
+
+const text = (value) => (typeof value === "string" ? value.trim() : "");
+
+const present = (value) =>
+  value !== undefined &&
+  value !== null &&
+  value !== "" &&
+  !(Array.isArray(value) && !value.length);
+
+// Records every key of `rest` that still holds something
+function leftover(rest, path, unmapped) {
+  for (const [key, value] of Object.entries(rest || {})) {
+    if (present(value)) unmapped.push(path ? `${path}.${key}` : key);
+  }
+}
+
+const list = (value) => (Array.isArray(value) ? value : []);
+
+// Fluency as written by toJsonResume
+const OWN_FLUENCY = /^(read|write|speak)(, (read|write|speak))*$/;
+
+const yearOf = (date) => ISO_DATE.exec(text(date))?.[1];
+const monthOf = (date) => Number(ISO_DATE.exec(text(date))?.[2]) || undefined;
+
+// ==============================
+// 🔹 JSON Resume -> portfolio
+// ==============================
+
+export function fromJsonResume(resume) {
+  const unmapped = [];
+  const portfolio = {};
+
+  const {
+    $schema,
+    basics,
+    work,
+    education,
+    projects,
+    certificates,
+    skills,
+    languages,
+    ...otherSections
+  } = resume;
+
+  // --- basics
+  const { name, label, email, phone, url, summary, location, profiles, ...basicsRest } =
+    basics || {};
+  Object.assign(portfolio, {
+    name: text(name),
+    role: text(label),
+    emailId: text(email),
+    phoneNo: text(phone),
+    portfolioLink: text(url),
+    summary: text(summary),
+  });
+
+  const { city, region, postalCode, ...locationRest } = location || {};
+  Object.assign(portfolio, {
+    city: text(city),
+    state: text(region),
+    pincode: text(postalCode),
+  });
+  leftover(locationRest, "basics.location", unmapped);
+
+  list(profiles).forEach((profile, i) => {
+    if (/linkedin/i.test(profile?.network) && !portfolio.linkedIn) {
+      portfolio.linkedIn = text(profile.url);
+    } else {
+      unmapped.push(`basics.profiles[${i}]`);
+    }
+  });
+  leftover(basicsRest, "basics", unmapped);
+
+  // --- work
+  portfolio.experience = list(work).map((job, i) => {
+    const { name, company, position, startDate, endDate, summary, highlights, ...rest } = job || {};
+    const from = ISO_DATE.test(text(startDate)) ? parseMonthYear(startDate) : null;
+    const to = ISO_DATE.test(text(endDate)) ? parseMonthYear(endDate) : null;
+    if (!from && present(startDate)) unmapped.push(`work[${i}].startDate`);
+    if (!to && present(endDate)) unmapped.push(`work[${i}].endDate`);
+    leftover(rest, `work[${i}]`, unmapped);
+
+    return {
+      role: text(position),
+      company: text(name || company),
+      start: from,
+      end: to,
+      // JSON Resume leaves endDate out for a current position
+      current: !!from && !present(endDate),
+      activities: [text(summary), ...list(highlights).map((h) => `• ${text(h)}`)]
+        .filter(Boolean)
+        .join("\n"),
+    };
+  });
+
+  // --- education ("Other" + eduTypeOther, as the editor stores free-text types)
+  portfolio.education = normalizeEducationArray(
+    list(education).map((edu, i) => {
+      const { institution, studyType, area, startDate, endDate, score, ...rest } = edu || {};
+      leftover(rest, `education[${i}]`, unmapped);
+
+      return {
+        institute: text(institution),
+        eduType: studyType ? "Other" : "",
+        eduTypeOther: text(studyType),
+        department: text(area),
+        startYear: yearOf(startDate) || text(startDate),
+        startMonth: monthOf(startDate),
+        endYear: yearOf(endDate) || text(endDate),
+        endMonth: monthOf(endDate),
+        score: text(score),
+      };
+    })
+  );
+
+  // --- projects
+  portfolio.projects = list(projects).map((project, i) => {
+    const { name, description, url, highlights, keywords, ...rest } = project || {};
+    leftover(rest, `projects[${i}]`, unmapped);
+
+    return {
+      name: text(name),
+      description: text(description),
+      link: text(url),
+      keyPoints: list(highlights).map(text).filter(Boolean),
+      technologies: list(keywords).map(text).filter(Boolean).join(", "),
+    };
+  });
+
+  // --- certificates
+  portfolio.certificates = list(certificates).map((cert, i) => {
+    const { name, issuer, date, url, ...rest } = cert || {};
+    leftover(rest, `certificates[${i}]`, unmapped);
+
+    return {
+      title: text(name),
+      issuedBy: text(issuer),
+      issuedOn: text(date),
+      credential: text(url),
+    };
+  });
+
+  // --- skills: groups like { name: "Web", keywords: ["HTML", "CSS"] } are flattened
+  const skillNames = [];
+  list(skills).forEach((skill, i) => {
+    const { name, keywords, ...rest } = skill || {};
+    skillNames.push(text(name), ...list(keywords).map(text));
+    leftover(rest, `skills[${i}]`, unmapped);
+  });
+  portfolio.skills = [...new Set(skillNames.filter(Boolean))];
+
+  // --- languages: our own "Read, Write" fluency round-trips; any other
+  //     (e.g. "Native speaker") counts as read, write and speak
+  portfolio.languages = list(languages).map((lang) => {
+    const fluency = text(lang?.fluency).toLowerCase();
+    const abilities = OWN_FLUENCY.test(fluency)
+      ? {
+          read: fluency.includes("read"),
+          write: fluency.includes("write"),
+          speak: fluency.includes("speak"),
+        }
+      : { read: true, write: true, speak: true };
+
+    return { language: text(lang?.language), ...abilities };
+  });
+
+  leftover(otherSections, "", unmapped);
+
+  return { portfolio, unmapped };
+}
+
+// ==============================
+// 🔹 Portfolio -> JSON Resume
+// ==============================
+
+// Education years are free text; only ISO-looking ones are valid JSON Resume dates
+const isoDate = (value) => (ISO_DATE.test(text(value)) ? text(value) : null);
+
+// { year: 2020, month: 3 } -> "2020-03"
+const isoMonth = ({ year, month }) =>
+  month ? `${year}-${String(month).padStart(2, "0")}` : String(year);
+
+export function toJsonResume(portfolio) {
+  const unmapped = [];
+
+  const basics = {
+    name: portfolio.name || "",
+    label: portfolio.role || "",
+    email: portfolio.emailId || "",
+    phone: portfolio.phoneNo || "",
+    url: portfolio.portfolioLink || "",
+    summary: String(portfolio.summary || portfolio.gensummary || "").replace(/\*/g, ""),
+    location: {
+      city: portfolio.city || "",
+      region: portfolio.state || "",
+      postalCode: portfolio.pincode || "",
+    },
+    profiles: portfolio.linkedIn ? [{ network: "LinkedIn", url: portfolio.linkedIn }] : [],
+  };
+
+  const work = list(portfolio.experience).map((e, i) => {
+    const job = { name: e.company || "", position: e.role || "", summary: e.activities || "" };
+
+    // Only entries saved before structured dates lack a start
+    if (e.start) {
+      job.startDate = isoMonth(e.start);
+      if (e.end && !e.current) job.endDate = isoMonth(e.end);
+    } else if (present(e.duration)) {
+      unmapped.push(`experience[${i}].duration`);
+    }
+    return job;
+  });
+
+  const education = normalizeEducationArray(list(portfolio.education)).map((e, i) => {
+    const entry = {
+      institution: e.institute || "",
+      studyType: e.eduType || "",
+      area: e.department || "",
+      score: [e.score, e.scoreType].filter(Boolean).join(" "),
+    };
+
+    for (const [from, month, to] of [
+      ["startYear", "startMonth", "startDate"],
+      ["endYear", "endMonth", "endDate"],
+    ]) {
+      const year = /^\d{4}$/.test(text(e[from])) ? Number(e[from]) : null;
+      if (year) entry[to] = isoMonth({ year, month: e[month] });
+      else if (isoDate(e[from])) entry[to] = isoDate(e[from]);
+      else if (present(e[from])) unmapped.push(`education[${i}].${from}`);
+    }
+    return entry;
+  });
+
+  const projects = list(portfolio.projects).map((p) => ({
+    name: p.name || "",
+    description: p.description || "",
+    url: p.link || "",
+    highlights: list(p.keyPoints).filter(Boolean),
+    keywords: String(p.technologies || "")
+      .split(",")
+      .map((t) => t.trim())
+      .filter(Boolean),
+  }));
+
+  const certificates = list(portfolio.certificates).map((c, i) => {
+    const entry = { name: c.title || "", issuer: c.issuedBy || "", url: c.credential || "" };
+    if (isoDate(c.issuedOn)) entry.date = isoDate(c.issuedOn);
+    else if (present(c.issuedOn)) unmapped.push(`certificates[${i}].issuedOn`);
+    return entry;
+  });
+
+  const skills = list(portfolio.skills)
+    .filter(Boolean)
+    .map((name) => ({ name }));
+
+  const languages = list(portfolio.languages).map((l) => ({
+    language: l.language || "",
+    fluency: [l.read && "Read", l.write && "Write", l.speak && "Speak"].filter(Boolean).join(", "),
+  }));
+
+  for (const field of [
+    "title",
+    "tags",
+    "nationality",
+    "availabilityType",
+    "noticePeriod",
+    "availableFromDate",
+  ]) {
+    if (present(portfolio[field])) unmapped.push(field);
+  }
+  if (present(portfolio.summary) && present(portfolio.gensummary)) unmapped.push("gensummary");
+
+  return {
+    resume: {
+      $schema:
+        "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json",
+      basics,
+      work,
+      education,
+      projects,
+      certificates,
+      skills,
+      languages,
+    },
+    unmapped,
+  };
+}
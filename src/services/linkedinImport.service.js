@@ -0,0 +1,193 @@
+import JSZip from "jszip";
+import { portfolioSchema } from "../schemas/portfolio.schema.js";
+import { fit } from "../utils/schema.js";
+import { parseCsv } from "../utils/csv.js";
+import { normalizeEducationArray } from "../utils/normalizeEducation.js";
+import { parseMonthYear } from "../utils/resumeDates.js";
+
+/**
+ * Builds a draft portfolio from LinkedIn's "Download your data" archive.
+ * Only the CSVs below are read (wherever they sit in the archive); the
+ * columns each mapper doesn't use are reported as `unmapped`, e.g.
+ * "Positions[0].Location".
+ */
+
+// Largest CSV read out of the archive, so a crafted ZIP can't blow up memory
+const MAX_CSV_BYTES = 5 * 1024 * 1024;
+
+export const LINKEDIN_FILES = [
+  "Profile",
+  "Positions",
+  "Education",
+  "Skills",
+  "Certifications",
+  "Languages",
+  "Projects",
+  "Email Addresses",
+  "PhoneNumbers",
+];
+
+export const ZIP_TYPES = {
+  ".zip": ["application/zip", "application/x-zip-compressed"],
+};
+
+// Reads an archive entry as text, giving up past `maxBytes`
+function readEntry(entry, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.nodeStream();
+
+    stream.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        stream.pause();
+        reject(new Error(`${entry.name} is too large`));
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    stream.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    stream.on("error", reject);
+  });
+}
+
+// { Positions: [rows], ... } for the LINKEDIN_FILES present in the archive
+async function readCsvs(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const tables = {};
+
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir) continue;
+
+    const base = entry.name.split("/").pop().replace(/\.csv$/i, "");
+    const name = LINKEDIN_FILES.find((file) => file.toLowerCase() === base.toLowerCase());
+    if (name && !tables[name]) {
+      tables[name] = parseCsv(await readEntry(entry, MAX_CSV_BYTES));
+    }
+  }
+  return tables;
+}
+
+/**
+ * Maps rows with `columns` ({ Column: (value, draftItem) => void }) and
+ * reports the non-empty columns no mapper took.
+ */
+function mapRows(rows = [], file, columns, unmapped) {
+  return rows.map((row, i) => {
+    const item = {};
+    for (const [column, value] of Object.entries(row)) {
+      if (!value) continue;
+      if (columns[column]) columns[column](value, item, row);
+      else unmapped.push(`${file}[${i}].${column}`);
+    }
+    return item;
+  });
+}
+
+const yearOf = (value) => String(parseMonthYear(value)?.year || value);
+
+/**
+ * Returns { portfolio, files: { found, missing }, unmapped }, or { error }
+ * when the upload isn't a ZIP or holds none of the LinkedIn CSVs.
+ */
+export async function parseLinkedInExport(buffer) {
+  let tables;
+  try {
+    tables = await readCsvs(buffer);
+  } catch (err) {
+    console.error("❌ LinkedIn archive error:", err.message);
+    return { error: "The archive could not be read" };
+  }
+
+  const found = Object.keys(tables);
+  if (!found.length) {
+    return { error: "No LinkedIn CSV files (Profile.csv, Positions.csv, ...) found in the archive" };
+  }
+
+  const unmapped = [];
+  const draft = {};
+
+  // --- Profile (one row)
+  const [profile] = mapRows(tables.Profile, "Profile", {
+    "First Name": (v, item) => (item.first = v),
+    "Last Name": (v, item) => (item.last = v),
+    Headline: (v, item) => (item.role = v),
+    Summary: (v, item) => (item.summary = v),
+    "Zip Code": (v, item) => (item.pincode = v),
+    // "Pune, Maharashtra, India"
+    "Geo Location": (v, item) => {
+      const [city, state] = v.split(",").map((part) => part.trim());
+      Object.assign(item, { city, state });
+    },
+    // "[PERSONAL:https://jane.dev,COMPANY:https://acme.com]"
+    Websites: (v, item) => (item.portfolioLink = v.match(/https?:\/\/[^\s,\]]+/)?.[0]),
+  }, unmapped);
+
+  if (profile) {
+    const { first, last, ...rest } = profile;
+    Object.assign(draft, rest, { name: [first, last].filter(Boolean).join(" ") });
+  }
+
+  // --- Contact details live in their own files; the primary one wins
+  const emails = tables["Email Addresses"] || [];
+  const email = emails.find((row) => row.Primary === "Yes") || emails[0];
+  if (email?.["Email Address"]) draft.emailId = email["Email Address"];
+
+  const phone = (tables.PhoneNumbers || []).find((row) => row.Number);
+  if (phone) draft.phoneNo = phone.Number;
+
+  // --- Positions
+  draft.experience = mapRows(tables.Positions, "Positions", {
+    "Company Name": (v, item) => (item.company = v),
+    Title: (v, item) => (item.role = v),
+    Description: (v, item) => (item.activities = v),
+    // "Finished On" is empty for a current position
+    "Started On": (v, item, row) =>
+      Object.assign(item, { start: parseMonthYear(v), current: !row["Finished On"] }),
+    "Finished On": (v, item) => (item.end = parseMonthYear(v)),
+  }, unmapped);
+
+  // --- Education (free-text degree names, stored the way the editor stores "Other")
+  draft.education = normalizeEducationArray(
+    mapRows(tables.Education, "Education", {
+      "School Name": (v, item) => (item.institute = v),
+      "Degree Name": (v, item) => Object.assign(item, { eduType: "Other", eduTypeOther: v }),
+      "Start Date": (v, item) =>
+        Object.assign(item, { startYear: yearOf(v), startMonth: parseMonthYear(v)?.month }),
+      "End Date": (v, item) =>
+        Object.assign(item, { endYear: yearOf(v), endMonth: parseMonthYear(v)?.month }),
+    }, unmapped)
+  );
+
+  // --- Projects
+  draft.projects = mapRows(tables.Projects, "Projects", {
+    Title: (v, item) => (item.name = v),
+    Description: (v, item) => (item.description = v),
+    Url: (v, item) => (item.link = v),
+  }, unmapped);
+
+  // --- Certifications
+  draft.certificates = mapRows(tables.Certifications, "Certifications", {
+    Name: (v, item) => (item.title = v),
+    Authority: (v, item) => (item.issuedBy = v),
+    "Started On": (v, item) => (item.issuedOn = v),
+    Url: (v, item) => (item.credential = v),
+  }, unmapped);
+
+  // --- Skills
+  draft.skills = [...new Set((tables.Skills || []).map((row) => row.Name).filter(Boolean))];
+
+  // --- Languages: LinkedIn only has a proficiency level, not read / write / speak
+  draft.languages = mapRows(tables.Languages, "Languages", {
+    Name: (v, item) => Object.assign(item, { language: v, read: true, write: true, speak: true }),
+  }, unmapped);
+
+  const missing = LINKEDIN_FILES.filter((file) => !tables[file]);
+
+  return {
+    portfolio: fit(portfolioSchema, draft),
+    files: { found, missing },
+    unmapped,
+  };
+}
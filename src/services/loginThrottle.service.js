@@ -0,0 +1,38 @@
+import { LOGIN_LOCKOUT } from "../config/rateLimits.js";
+import { getRateLimitStore } from "./rateLimit.service.js";
+
+const normalize = (email) => String(email || "").trim().toLowerCase();
+
+const failKey = (email) => `login-fail:${normalize(email)}`;
+const lockKey = (email) => `login-lock:${normalize(email)}`;
+
+// Returns when the current lock ends, or null when login is allowed
+export async function getLoginLock(email) {
+  const lock = await getRateLimitStore().get(lockKey(email));
+  return lock ? lock.resetAt : null;
+}
+
+/**
+ * Counts a failed login. From the `freeAttempts`-th failure on, the email is
+ * locked for baseLockMs, doubling with each further failure up to maxLockMs.
+ * Returns the lock end, or null when not locked yet.
+ */
+export async function recordLoginFailure(email) {
+  const store = getRateLimitStore();
+  const { freeAttempts, baseLockMs, maxLockMs, failureWindowMs } = LOGIN_LOCKOUT;
+
+  const { count } = await store.hit(failKey(email), failureWindowMs);
+  if (count < freeAttempts) return null;
+
+  const lockMs = Math.min(baseLockMs * 2 ** (count - freeAttempts), maxLockMs);
+  await store.reset(lockKey(email));
+  const { resetAt } = await store.hit(lockKey(email), lockMs);
+
+  return resetAt;
+}
+
+export async function clearLoginFailures(email) {
+  const store = getRateLimitStore();
+  await store.reset(failKey(email));
+  await store.reset(lockKey(email));
+}
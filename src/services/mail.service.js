@@ -0,0 +1,77 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+import {
+  MAIL_DRIVER,
+  MAIL_FROM,
+  MAIL_DIR,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASS,
+} from "../config/env.js";
+import { escapeHtml } from "../utils/escapeHtml.js";
+
+// Every driver is a factory returning `send(message)`
+const drivers = {
+
+  // 🟢 PRODUCTION — real delivery
+  smtp() {
+    const transporter = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+    });
+
+    return (message) => transporter.sendMail(message);
+  },
+
+  // 🟢 LOCAL — writes each mail as an .eml file you can open
+  file() {
+    const transporter = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+    });
+
+    return async (message) => {
+      const info = await transporter.sendMail(message);
+
+      await fs.mkdir(MAIL_DIR, { recursive: true });
+      const file = path.join(
+        MAIL_DIR,
+        `${Date.now()}-${String(message.to).replace(/[^a-zA-Z0-9@._-]/g, "_")}.eml`
+      );
+      await fs.writeFile(file, info.message);
+
+      // The body holds live links; open the file to read it
+      console.log(`📧 Mail "${message.subject}" to ${message.to} → ${file}`);
+      return info;
+    };
+  },
+
+  // 🟢 LOCAL — just logs that a mail went out (never its body)
+  console() {
+    return async (message) => {
+      console.log(`📧 Mail "${message.subject}" to ${message.to}`);
+      return { messageId: null };
+    };
+  },
+};
+
+let send;
+
+export async function sendMail({ to, subject, text, html }) {
+  if (!send) {
+    const driver = drivers[MAIL_DRIVER];
+    if (!driver) throw new Error(`Unknown MAIL_DRIVER "${MAIL_DRIVER}"`);
+    send = driver();
+  }
+
+  return send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+// Opening line of a mail; the name is user input, so the HTML one is escaped
+export const greeting = (user) => `Hi ${user.name || ""},`;
+export const htmlGreeting = (user) => `<p>Hi ${escapeHtml(user.name || "")},</p>`;
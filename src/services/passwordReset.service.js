@@ -0,0 +1,60 @@
+import { getDB } from "../config/db.js";
+import { APP_URL, PASSWORD_RESET_TTL_MINUTES } from "../config/env.js";
+import { randomToken, hashToken } from "../utils/tokens.js";
+import { sendMail, greeting, htmlGreeting } from "./mail.service.js";
+
+const resets = () => getDB().collection("password_resets");
+
+// Creates a one-time reset token; any older pending token stops working
+export async function createPasswordReset(user) {
+  const token = randomToken();
+  const now = new Date();
+
+  await resets().deleteMany({ userId: user._id, usedAt: null });
+  await resets().insertOne({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+    usedAt: null,
+  });
+
+  return token;
+}
+
+// Atomically marks the token used; returns its userId or null
+export async function consumePasswordReset(token) {
+  if (!token) return null;
+
+  const entry = await resets().findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } }
+  );
+
+  return entry?.userId || null;
+}
+
+export async function sendPasswordResetMail(user, token) {
+  const link = `${APP_URL}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text:
+      `${greeting(user)}\n\n` +
+      `Use the link below to choose a new password. ` +
+      `It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and works once.\n\n` +
+      `${link}\n\n` +
+      `If you did not ask for this, you can ignore this email.`,
+    html:
+      htmlGreeting(user) +
+      `<p>Use the link below to choose a new password. ` +
+      `It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and works once.</p>` +
+      `<p><a href="${link}">Reset password</a></p>` +
+      `<p>If you did not ask for this, you can ignore this email.</p>`,
+  });
+}
@@ -0,0 +1,202 @@
+import { ObjectId } from "mongodb";
+import { getDB } from "../config/db.js";
+import { ownedBy } from "./account.service.js";
+import { deleteVersions } from "./portfolioVersion.service.js";
+import { ITEM_SECTIONS } from "../schemas/portfolio.schema.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import { randomToken } from "../utils/tokens.js";
+
+export const portfolios = () => getDB().collection("portfolios");
+
+// Soft-deleted resumes carry `deletedAt` and are invisible outside the trash
+export const notDeleted = { deletedAt: null };
+const inTrash = { deletedAt: { $ne: null } };
+
+/**
+ * Query that only matches `id` when `userId` owns it; `trashed: true`
+ * matches it only while it is in the trash instead.
+ */
+export const ownedPortfolioQuery = (userId, id, { trashed = false } = {}) => ({
+  _id: new ObjectId(id),
+  ...ownedBy(userId),
+  ...(trashed ? inTrash : notDeleted),
+});
+
+export async function findOwnedPortfolio(userId, id, { trashed, ...options } = {}) {
+  if (!ObjectId.isValid(id)) return null;
+  return portfolios().findOne(ownedPortfolioQuery(userId, id, { trashed }), options);
+}
+
+/**
+ * Every content write bumps `revision` with $inc; clients echo it back as
+ * If-Match so a stale tab can't overwrite newer changes. Resumes saved
+ * before revisions existed count as revision 0.
+ */
+export const revisionOf = (portfolio) => portfolio.revision ?? 0;
+export const etagOf = (portfolio) => `"${revisionOf(portfolio)}"`;
+export const bumpRevision = { revision: 1 };
+
+// Matches a portfolio only while it is still at `revision`
+export const atRevision = (revision) => ({
+  revision: revision === 0 ? { $in: [0, null] } : revision,
+});
+
+/**
+ * Gives list entries that have no id, or repeat an earlier entry's id (a
+ * duplicated entry in the editor), a fresh one. Run on every content write.
+ */
+export function withItemIds(content) {
+  const out = { ...content };
+
+  for (const section of ITEM_SECTIONS) {
+    if (!Array.isArray(out[section])) continue;
+
+    const seen = new Set();
+    out[section] = out[section].map((item) => {
+      if (!item || typeof item !== "object") return item;
+
+      const id = item.id && !seen.has(item.id) ? item.id : randomToken(6);
+      seen.add(id);
+      return id === item.id ? item : { ...item, id };
+    });
+  }
+
+  return out;
+}
+
+export function trashQuery(userId) {
+  return { ...ownedBy(userId), ...inTrash };
+}
+
+/**
+ * Removes a portfolio for good with its history; its variants become
+ * standalone resumes, and job applications and cover letters that used it
+ * lose the link.
+ */
+export async function purgePortfolio(portfolio) {
+  await deleteVersions(portfolio._id);
+
+  await portfolios().updateMany(
+    { baseId: portfolio._id },
+    { $unset: { baseId: "", baseSyncedAt: "" } }
+  );
+
+  for (const name of ["job_applications", "cover_letters"]) {
+    await getDB()
+      .collection(name)
+      .updateMany({ portfolioId: portfolio._id }, { $unset: { portfolioId: "" } });
+  }
+
+  await portfolios().deleteOne({ _id: portfolio._id });
+}
+
+/**
+ * Purges every resume that has been in the trash longer than
+ * `retentionDays`. Returns how many were purged.
+ */
+export async function purgeExpiredTrash(retentionDays) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = portfolios().find(
+    { deletedAt: { $lte: cutoff } },
+    { projection: { _id: 1 } }
+  );
+
+  let purged = 0;
+  for await (const portfolio of expired) {
+    await purgePortfolio(portfolio);
+    purged++;
+  }
+  return purged;
+}
+
+// Dashboard list shape (?fields=full returns whole documents)
+export const LIST_PROJECTION = {
+  title: 1,
+  name: 1,
+  role: 1,
+  tags: 1,
+  baseId: 1,
+  "publication.published": 1,
+  publicSlug: 1,
+  revision: 1,
+  createdAt: 1,
+  updatedAt: 1,
+};
+
+const SORTS = {
+  updated: (dir) => ({ updatedAt: dir, createdAt: dir, _id: dir }),
+  created: (dir) => ({ createdAt: dir, _id: dir }),
+  name: (dir) => ({ title: dir, name: dir, _id: dir }),
+};
+
+const MAX_SEARCH_LENGTH = 100;
+
+const asList = (value) =>
+  (Array.isArray(value) ? value : [value]).filter(Boolean).map(String);
+
+// "true" / "false" query flags; anything else means "don't filter"
+const flag = (value) => (value === "true" ? true : value === "false" ? false : undefined);
+
+/**
+ * Translates GET /portfolio query params into a Mongo query.
+ * Returns { error } for invalid params.
+ */
+export function buildListQuery(userId, query) {
+  const filter = { ...ownedBy(userId), ...notDeleted };
+  const and = [];
+
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+  if (q.length > MAX_SEARCH_LENGTH) {
+    return { error: `q must be at most ${MAX_SEARCH_LENGTH} characters` };
+  }
+  if (q) {
+    // Substring match so search-as-you-type works
+    const pattern = { $regex: escapeRegex(q), $options: "i" };
+    and.push({
+      $or: [
+        { title: pattern },
+        { role: pattern },
+        { skills: pattern },
+        { "experience.company": pattern },
+        { "experience.role": pattern },
+        { "projects.name": pattern },
+      ],
+    });
+  }
+
+  const tags = asList(query.tag);
+  if (tags.length) filter.tags = { $all: tags };
+
+  const hasProjects = flag(query.hasProjects);
+  if (hasProjects !== undefined) filter["projects.0"] = { $exists: hasProjects };
+
+  const hasExperience = flag(query.hasExperience);
+  if (hasExperience !== undefined) filter["experience.0"] = { $exists: hasExperience };
+
+  const published = flag(query.published);
+  if (published === true) filter["publication.published"] = true;
+  if (published === false) filter["publication.published"] = { $ne: true };
+
+  if (query.kind === "base") filter.baseId = { $exists: false };
+  else if (query.kind === "variant") filter.baseId = { $exists: true };
+  else if (query.kind !== undefined) {
+    return { error: "kind must be 'base' or 'variant'" };
+  }
+
+  if (and.length) filter.$and = and;
+
+  const sortBy = query.sort || "updated";
+  if (!Object.hasOwn(SORTS, sortBy)) {
+    return { error: `sort must be one of: ${Object.keys(SORTS).join(", ")}` };
+  }
+  if (query.order !== undefined && !["asc", "desc"].includes(query.order)) {
+    return { error: "order must be 'asc' or 'desc'" };
+  }
+  const direction = query.order === "asc" ? 1 : -1;
+
+  return {
+    filter,
+    sort: SORTS[sortBy](direction),
+    projection: query.fields === "full" ? undefined : LIST_PROJECTION,
+  };
+}
@@ -0,0 +1,145 @@
+import { applyJsonPatch, parsePointer } from "../utils/jsonPatch.js";
+import { validate } from "../utils/schema.js";
+import { portfolioSchema, ITEM_SECTIONS } from "../schemas/portfolio.schema.js";
+import { CONTENT_FIELDS } from "./portfolioVersion.service.js";
+import { withItemIds } from "./portfolio.service.js";
+
+// Upper bound on operations per PATCH request
+const MAX_OPERATIONS = 100;
+
+const SECTION_OPS = ["add", "update", "remove", "reorder", "set"];
+
+const isObject = (value) =>
+  !!value && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Per-section operations, addressing list entries by their stable id:
+ *
+ *   { op: "add", section, item, index? }     index defaults to the end
+ *   { op: "update", section, id, item }      merges item's fields into the entry
+ *   { op: "remove", section, id }
+ *   { op: "reorder", section, order: [ids] } must list every entry once
+ *   { op: "set", field, value }              any other field, e.g. summary
+ *
+ * Returns the updated copy of `content`, or errors like schema validation.
+ */
+function applySectionOps(content, operations) {
+  const value = structuredClone(content);
+
+  for (const [i, operation] of operations.entries()) {
+    const path = `operations[${i}]`;
+    const fail = (message) => ({ errors: [{ path, message }] });
+
+    if (!isObject(operation) || !SECTION_OPS.includes(operation.op)) {
+      return fail(`'op' must be one of: ${SECTION_OPS.join(", ")}`);
+    }
+
+    const { op, section, id } = operation;
+
+    if (op === "set") {
+      if (!CONTENT_FIELDS.includes(operation.field)) {
+        return fail(`'field' must be one of: ${CONTENT_FIELDS.join(", ")}`);
+      }
+      value[operation.field] = operation.value ?? null;
+      continue;
+    }
+
+    if (!ITEM_SECTIONS.includes(section)) {
+      return fail(`'section' must be one of: ${ITEM_SECTIONS.join(", ")}`);
+    }
+
+    const items = (value[section] = Array.isArray(value[section]) ? value[section] : []);
+    const at = items.findIndex((item) => item?.id === id);
+
+    if (op === "add") {
+      if (!isObject(operation.item)) return fail("'item' must be an object");
+
+      const index = operation.index ?? items.length;
+      if (!Number.isInteger(index) || index < 0 || index > items.length) {
+        return fail(`'index' must be between 0 and ${items.length}`);
+      }
+      items.splice(index, 0, { ...operation.item });
+      continue;
+    }
+
+    if (op === "reorder") {
+      const order = operation.order;
+      const ids = items.map((item) => item?.id);
+      if (
+        !Array.isArray(order) ||
+        order.length !== ids.length ||
+        new Set(order).size !== order.length ||
+        !order.every((itemId) => ids.includes(itemId))
+      ) {
+        return fail(`'order' must list each of the ${ids.length} ${section} ids once`);
+      }
+      value[section] = order.map((itemId) => items[ids.indexOf(itemId)]);
+      continue;
+    }
+
+    if (at === -1) return fail(`no ${section} entry with id '${id}'`);
+
+    if (op === "remove") {
+      items.splice(at, 1);
+    } else {
+      if (!isObject(operation.item)) return fail("'item' must be an object");
+      items[at] = { ...items[at], ...operation.item, id };
+    }
+  }
+
+  return { value, errors: [] };
+}
+
+// JSON Patch may only touch content fields, never _id, userId, revision...
+function outOfBounds(operations) {
+  for (const [i, operation] of operations.entries()) {
+    for (const key of ["path", "from"]) {
+      const tokens = parsePointer(operation?.[key]);
+      if (tokens && (!tokens.length || !CONTENT_FIELDS.includes(tokens[0]))) {
+        return [{ path: `body[${i}].${key}`, message: "must point inside a resume field" }];
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Applies a PATCH body to a portfolio's content: a JSON Patch array
+ * (RFC 6902) or `{ operations: [...] }` section operations. The result
+ * is validated against the portfolio schema as a whole, so either every
+ * operation applies or none does.
+ *
+ * Returns { value } or { error, details }.
+ */
+export function applyPortfolioPatch(content, body) {
+  const jsonPatch = Array.isArray(body);
+  const operations = jsonPatch ? body : body?.operations;
+
+  if (!Array.isArray(operations) || !operations.length) {
+    return {
+      error: "Send a JSON Patch array or { operations: [...] }",
+      details: [],
+    };
+  }
+  if (operations.length > MAX_OPERATIONS) {
+    return {
+      error: `At most ${MAX_OPERATIONS} operations per request`,
+      details: [],
+    };
+  }
+
+  const bounds = jsonPatch && outOfBounds(operations);
+  if (bounds) return { error: "Invalid patch", details: bounds };
+
+  const patched = jsonPatch
+    ? applyJsonPatch(content, operations)
+    : applySectionOps(content, operations);
+  if (patched.errors.length) {
+    return { error: "Invalid patch", details: patched.errors };
+  }
+
+  const { value, errors } = validate(portfolioSchema, patched.value);
+  if (errors.length) return { error: "Validation failed", details: errors };
+
+  return { value: withItemIds(value) };
+}
@@ -0,0 +1,89 @@
+import { getDB } from "../config/db.js";
+import { portfolioSchema } from "../schemas/portfolio.schema.js";
+
+// Oldest snapshots beyond this are pruned
+const MAX_VERSIONS_PER_PORTFOLIO = 100;
+
+const DUPLICATE_KEY = 11000;
+// Concurrent saves can pick the same number; the loser takes the next one
+const MAX_NUMBER_ATTEMPTS = 5;
+
+// Only user content is versioned, not _id / userId / timestamps
+export const CONTENT_FIELDS = Object.keys(portfolioSchema.shape);
+
+const versions = () => getDB().collection("portfolio_versions");
+
+export function contentOf(portfolio) {
+  const content = {};
+  for (const field of CONTENT_FIELDS) {
+    if (portfolio[field] !== undefined) content[field] = portfolio[field];
+  }
+  return content;
+}
+
+/**
+ * Stores the portfolio's current content as the next version.
+ * `reason`: "create" | "import" | "update" | "patch" | "restore" | "baseline"
+ * (+ extra metadata).
+ */
+export async function recordVersion(portfolio, reason, meta = {}) {
+  let version;
+  for (let attempt = 1; ; attempt++) {
+    const latest = await versions().findOne(
+      { portfolioId: portfolio._id },
+      { sort: { version: -1 }, projection: { version: 1 } }
+    );
+    version = (latest?.version || 0) + 1;
+
+    try {
+      await versions().insertOne({
+        portfolioId: portfolio._id,
+        userId: portfolio.userId,
+        version,
+        reason,
+        ...meta,
+        content: contentOf(portfolio),
+        createdAt: new Date(),
+      });
+      break;
+    } catch (err) {
+      if (err.code !== DUPLICATE_KEY || attempt === MAX_NUMBER_ATTEMPTS) throw err;
+    }
+  }
+
+  if (version > MAX_VERSIONS_PER_PORTFOLIO) {
+    await versions().deleteMany({
+      portfolioId: portfolio._id,
+      version: { $lte: version - MAX_VERSIONS_PER_PORTFOLIO },
+    });
+  }
+
+  return version;
+}
+
+/**
+ * Resumes saved before history existed have no versions; keep what they
+ * look like now before the first change overwrites it.
+ */
+export async function ensureBaselineVersion(portfolio) {
+  const exists = await versions().findOne(
+    { portfolioId: portfolio._id },
+    { projection: { _id: 1 } }
+  );
+  if (!exists) await recordVersion(portfolio, "baseline");
+}
+
+export async function listVersions(portfolioId) {
+  return versions()
+    .find({ portfolioId }, { projection: { content: 0 } })
+    .sort({ version: -1 })
+    .toArray();
+}
+
+export async function findVersion(portfolioId, version) {
+  return versions().findOne({ portfolioId, version });
+}
+
+export async function deleteVersions(portfolioId) {
+  await versions().deleteMany({ portfolioId });
+}
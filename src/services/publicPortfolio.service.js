@@ -0,0 +1,185 @@
+import { getDB } from "../config/db.js";
+import { normalizeEducationArray } from "../utils/normalizeEducation.js";
+import {
+  experienceRange,
+  educationRange,
+  sortReverseChronological,
+  totalYears,
+} from "../utils/resumeDates.js";
+
+// Sections an owner can show on the public page
+export const PUBLIC_SECTIONS = [
+  "summary",
+  "experience",
+  "projects",
+  "education",
+  "certificates",
+  "skills",
+  "languages",
+  "availability",
+];
+
+// Contact details are private unless listed; "location" = city/state/pincode
+export const CONTACT_FIELDS = [
+  "emailId",
+  "phoneNo",
+  "linkedIn",
+  "portfolioLink",
+  "location",
+];
+export const DEFAULT_CONTACT_FIELDS = ["linkedIn", "portfolioLink"];
+
+export const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,58}[a-z0-9])$/;
+
+// Would clash with app pages or confuse visitors
+const RESERVED_SLUGS = new Set([
+  "admin",
+  "api",
+  "auth",
+  "login",
+  "register",
+  "dashboard",
+  "settings",
+  "portfolio",
+  "pdf",
+  "ai",
+  "p",
+]);
+
+export const isReservedSlug = (slug) => RESERVED_SLUGS.has(slug);
+
+export function slugify(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 50);
+}
+
+// Free slug derived from the resume, e.g. "jane-doe" or "jane-doe-4821"
+export async function suggestSlug(portfolio) {
+  const portfolios = getDB().collection("portfolios");
+  let base = slugify(portfolio.name || portfolio.title || "resume");
+  if (base.length < 3 || isReservedSlug(base)) base = `resume-${base}`.replace(/-$/, "");
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const slug =
+      attempt === 0 ? base : `${base}-${Math.floor(1000 + Math.random() * 9000)}`;
+    const taken = await portfolios.findOne(
+      { publicSlug: slug, _id: { $ne: portfolio._id } },
+      { projection: { _id: 1 } }
+    );
+    if (!taken) return slug;
+  }
+
+  return `${base}-${Date.now().toString(36)}`;
+}
+
+// Only http(s) links survive; bare domains get https:// like in the PDF
+function safeUrl(value) {
+  const text = String(value || "").trim();
+  if (!text) return undefined;
+
+  const url = /^[a-z][a-z0-9+.-]*:/i.test(text) ? text : `https://${text}`;
+  try {
+    const { protocol } = new URL(url);
+    return protocol === "http:" || protocol === "https:" ? url : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+const pick = (item, fields) =>
+  Object.fromEntries(
+    fields.filter((f) => item?.[f] !== undefined && item[f] !== null).map((f) => [f, item[f]])
+  );
+
+/**
+ * What anonymous visitors get: only the sections and contact fields the
+ * owner chose, no ids, owner data or internal fields, links limited to http(s).
+ */
+export function toPublicView(portfolio) {
+  const { sections = [], contactFields = [] } = portfolio.publication || {};
+  const shows = (section) => sections.includes(section);
+  const showsContact = (field) => contactFields.includes(field);
+
+  const view = pick(portfolio, ["title", "name", "role"]);
+
+  if (showsContact("location")) Object.assign(view, pick(portfolio, ["city", "state", "pincode"]));
+  if (showsContact("emailId")) Object.assign(view, pick(portfolio, ["emailId"]));
+  if (showsContact("phoneNo")) Object.assign(view, pick(portfolio, ["phoneNo"]));
+  if (showsContact("linkedIn")) view.linkedIn = safeUrl(portfolio.linkedIn);
+  if (showsContact("portfolioLink")) view.portfolioLink = safeUrl(portfolio.portfolioLink);
+
+  if (shows("summary")) {
+    view.summary = String(portfolio.summary || portfolio.gensummary || "").replace(/\*/g, "");
+  }
+  if (shows("experience")) {
+    view.experience = sortReverseChronological(portfolio.experience || [], experienceRange).map((e) =>
+      pick(e, ["role", "company", "start", "end", "current", "duration", "activities"])
+    );
+    view.experienceYears = totalYears(view.experience.map(experienceRange));
+  }
+  if (shows("projects")) {
+    view.projects = (portfolio.projects || []).map((p) => ({
+      ...pick(p, ["name", "description", "keyPoints", "technologies"]),
+      link: safeUrl(p.link),
+    }));
+  }
+  if (shows("education")) {
+    view.education = sortReverseChronological(
+      normalizeEducationArray(portfolio.education || []),
+      educationRange
+    ).map((e) =>
+      pick(e, [
+        "institute",
+        "eduType",
+        "department",
+        "startYear",
+        "startMonth",
+        "endYear",
+        "endMonth",
+        "scoreType",
+        "score",
+      ])
+    );
+  }
+  if (shows("certificates")) {
+    view.certificates = (portfolio.certificates || []).map((c) => ({
+      ...pick(c, ["title", "issuedBy", "issuedOn"]),
+      credential: safeUrl(c.credential),
+    }));
+  }
+  if (shows("skills")) view.skills = (portfolio.skills || []).filter(Boolean);
+  if (shows("languages")) {
+    view.languages = (portfolio.languages || []).map((l) =>
+      pick(l, ["language", "read", "write", "speak"])
+    );
+  }
+  if (shows("availability")) {
+    Object.assign(
+      view,
+      pick(portfolio, ["nationality", "availabilityType", "noticePeriod", "availableFromDate"])
+    );
+  }
+
+  // Drop links that failed the http(s) check
+  for (const key of Object.keys(view)) {
+    if (view[key] === undefined) delete view[key];
+  }
+
+  view.updatedAt = portfolio.updatedAt || portfolio.createdAt;
+  return view;
+}
+
+export async function findPublishedBySlug(slug) {
+  return getDB()
+    .collection("portfolios")
+    .findOne({
+      publicSlug: slug,
+      "publication.published": true,
+      deletedAt: null,
+    });
+}
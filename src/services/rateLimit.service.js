@@ -0,0 +1,107 @@
+import { getDB } from "../config/db.js";
+import { RATE_LIMIT_STORE } from "../config/env.js";
+
+/**
+ * Fixed-window counters. Every store implements:
+ *   hit(key, windowMs)  → { count, resetAt }  (starts a new window if expired)
+ *   get(key)            → { count, resetAt } | null
+ *   reset(key)
+ */
+
+function memoryStore() {
+  const buckets = new Map();
+
+  // Drop expired buckets now and then so the map does not grow forever
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt.getTime() <= now) buckets.delete(key);
+    }
+  }, 60 * 1000).unref();
+
+  const live = (key) => {
+    const bucket = buckets.get(key);
+    return bucket && bucket.resetAt.getTime() > Date.now() ? bucket : null;
+  };
+
+  return {
+    async hit(key, windowMs) {
+      let bucket = live(key);
+      if (!bucket) {
+        bucket = { count: 0, resetAt: new Date(Date.now() + windowMs) };
+        buckets.set(key, bucket);
+      }
+      bucket.count += 1;
+      return { ...bucket };
+    },
+
+    async get(key) {
+      const bucket = live(key);
+      return bucket ? { ...bucket } : null;
+    },
+
+    async reset(key) {
+      buckets.delete(key);
+    },
+  };
+}
+
+function mongoStore() {
+  const limits = () => getDB().collection("rate_limits");
+
+  return {
+    async hit(key, windowMs) {
+      const now = new Date();
+      // Missing or past resetAt sorts <= now, so a new window starts
+      const expired = { $lte: ["$resetAt", now] };
+
+      const doc = await limits().findOneAndUpdate(
+        { _id: key },
+        [
+          {
+            $set: {
+              count: { $cond: [expired, 1, { $add: ["$count", 1] }] },
+              resetAt: {
+                $cond: [
+                  expired,
+                  new Date(now.getTime() + windowMs),
+                  "$resetAt",
+                ],
+              },
+            },
+          },
+        ],
+        { upsert: true, returnDocument: "after" }
+      );
+
+      return { count: doc.count, resetAt: doc.resetAt };
+    },
+
+    async get(key) {
+      const doc = await limits().findOne({
+        _id: key,
+        resetAt: { $gt: new Date() },
+      });
+      return doc ? { count: doc.count, resetAt: doc.resetAt } : null;
+    },
+
+    async reset(key) {
+      await limits().deleteOne({ _id: key });
+    },
+  };
+}
+
+const stores = { memory: memoryStore, mongo: mongoStore };
+
+let store;
+
+export function getRateLimitStore() {
+  if (!store) {
+    const create = stores[RATE_LIMIT_STORE];
+    if (!create) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}"`);
+    }
+    store = create();
+  }
+  return store;
+}
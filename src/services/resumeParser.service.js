@@ -0,0 +1,507 @@
+import { portfolioSchema } from "../schemas/portfolio.schema.js";
+import { fit } from "../utils/schema.js";
+import { DATE_RANGE, SINGLE_DATE, parseDateRange } from "../utils/resumeDates.js";
+import { generateWithRetry } from "./gemini.service.js";
+
+/**
+ * Turns the plain text of an uploaded resume into a draft portfolio.
+ *
+ * Heuristics split the text at section headings and pick fields out of
+ * each section; with `useAi` the AI service reads it too and its answer
+ * replaces the sections the heuristics were unsure about. Every filled
+ * field gets a confidence from 0 to 1 under its path, e.g.
+ * confidence["experience[0].company"] = 0.6.
+ */
+
+// How sure each kind of match is
+const SURE = 0.95; // unambiguous patterns: email, LinkedIn URL
+const LIKELY = 0.8; // right section and expected shape
+const GUESS = 0.5; // position-based guesses
+const AI_CONFIDENCE = 0.7; // AI answers replace anything below this
+
+// Characters of resume text sent to the AI service
+const MAX_AI_TEXT = 12000;
+
+const HEADINGS = {
+  summary: /^((professional|career) )?(summary|profile|objective)$|^about( me)?$/,
+  experience: /^((work|professional|employment) )?(experience|history)$|^employment$/,
+  education: /^(education|academics?|academic (background|qualifications?)|qualifications?)$/,
+  skills: /^((technical|key|core) )?(skills|competencies|technologies)( and tools)?$|^tech stack$/,
+  projects: /^((personal|academic|key|selected) )?projects$/,
+  certificates: /^(certifications?|certificates?|licen[cs]es( (and|&) certifications)?)$/,
+  languages: /^languages?( known)?$/,
+};
+
+const EMAIL = /[\w.+-]+@[\w-]+(\.[\w-]+)+/;
+const PHONE = /\+?\d[\d\s().-]{7,}\d/;
+const LINKEDIN = /(?:https?:\/\/)?(?:[\w-]+\.)?linkedin\.com\/[^\s,|]+/i;
+const URL = /(?:https?:\/\/|www\.|github\.com\/)[^\s,|]+/i;
+const BULLET = /^[•▪●◦■‣∙·*–-]\s*/;
+const SEPARATOR = /\s+(?:at|@)\s+|\s*[|–—]\s*|\s+-\s+|,\s+/;
+const YEAR = /\b(?:19|20)\d{2}\b/g;
+
+const ROLE_WORDS =
+  /\b(engineer|developer|manager|intern|analyst|designer|consultant|lead|architect|scientist|specialist|officer|associate|executive|administrator|assistant|director|trainee|programmer|tester|head)\b/i;
+const INSTITUTE =
+  /(universit|college|institute|school|academy|polytechnic|\bIIT\b|\bNIT\b|\bIIIT\b)/i;
+const DEGREE =
+  /\b(ph\.?\s?d|doctorate|[bm]\.?\s?tech|[bm]\.?\s?e\b|[bm]\.?\s?sc|[bm]\.?\s?com|bca|mca|mba|[bm]\.?\s?a\b|bachelor(?:'s)?(?: of [a-z]+)?|master(?:'s)?(?: of [a-z]+)?|diploma|high school|higher secondary|hsc|ssc|12th|10th)/i;
+const SCORE =
+  /\b(cgpa|gpa|percentage|grade)\s*[:-]?\s*(\d+(?:\.\d+)?(?:\s*\/\s*\d+(?:\.\d+)?)?%?)|(\d{2}(?:\.\d+)?)\s*%/i;
+const TECH_LINE = /^(tech(?:nologies|\s*stack)?|stack|tools|built with)\s*[:-]\s*(.+)$/i;
+
+// ==============================
+// 🔹 Text helpers
+// ==============================
+
+function headingOf(line) {
+  if (line.length > 40) return null;
+
+  const key = line.toLowerCase().replace(/[^a-z& ]/g, "").replace(/\s+/g, " ").trim();
+  return Object.keys(HEADINGS).find((section) => HEADINGS[section].test(key)) || null;
+}
+
+// Lines before the first heading, then the lines under each heading
+function splitSections(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+  const sections = { header: [] };
+  let current = "header";
+
+  for (const line of lines) {
+    const heading = headingOf(line);
+    if (heading) {
+      current = heading;
+      sections[current] = sections[current] || [];
+    } else {
+      sections[current].push(line);
+    }
+  }
+  return sections;
+}
+
+/**
+ * Groups a section's lines into entries of { head, bullets }. A line that
+ * isn't a bullet starts a new entry once the current one has bullets, or
+ * when `startsEntry(line, entry)` says so.
+ */
+function splitEntries(lines = [], startsEntry = () => false) {
+  const entries = [];
+  let entry = null;
+
+  for (const line of lines) {
+    const bullet = BULLET.test(line);
+    if (!entry || (!bullet && (entry.bullets.length || startsEntry(line, entry)))) {
+      entry = { head: [], bullets: [] };
+      entries.push(entry);
+    }
+    if (bullet) entry.bullets.push(line.replace(BULLET, "").trim());
+    else entry.head.push(line);
+  }
+  return entries.filter((e) => e.head.length || e.bullets.length);
+}
+
+const parts = (line) =>
+  line
+    .split(SEPARATOR)
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+// ==============================
+// 🔹 Sections
+// ==============================
+
+function parseHeader(lines, fullText, draft, confidence) {
+  const email = (lines.join(" ").match(EMAIL) || fullText.match(EMAIL))?.[0];
+  if (email) {
+    draft.emailId = email;
+    confidence.emailId = SURE;
+  }
+
+  const phone = lines.join(" ").match(PHONE)?.[0];
+  if (phone && phone.replace(/\D/g, "").length <= 15) {
+    draft.phoneNo = phone.trim();
+    confidence.phoneNo = SURE;
+  }
+
+  const linkedIn = fullText.match(LINKEDIN)?.[0];
+  if (linkedIn) {
+    draft.linkedIn = linkedIn.startsWith("http") ? linkedIn : `https://${linkedIn}`;
+    confidence.linkedIn = SURE;
+  }
+
+  const link = lines
+    .flatMap((line) => line.match(new RegExp(URL, "gi")) || [])
+    .find((url) => !LINKEDIN.test(url));
+  if (link) {
+    draft.portfolioLink = link.startsWith("http") ? link : `https://${link}`;
+    confidence.portfolioLink = LIKELY;
+  }
+
+  // Header lines are often "City, State | phone | email"; look at each piece
+  const pieces = lines.flatMap((line) => line.split(/\s*[|•·]\s*/)).filter(Boolean);
+  const plain = pieces.filter(
+    (piece) => !EMAIL.test(piece) && !PHONE.test(piece) && !URL.test(piece) && !LINKEDIN.test(piece)
+  );
+
+  const name = plain.find((piece) => /^[\p{L}][\p{L} .'-]+$/u.test(piece) && piece.split(" ").length <= 5);
+  if (name) {
+    draft.name = name;
+    confidence.name = plain.indexOf(name) === 0 ? LIKELY : GUESS;
+  }
+
+  const role = plain.find(
+    (piece) => piece !== name && !/\d/.test(piece) && !piece.includes(",") && piece.split(" ").length <= 8
+  );
+  if (role) {
+    draft.role = role;
+    confidence.role = ROLE_WORDS.test(role) ? LIKELY : GUESS;
+  }
+
+  const place = plain.find((piece) => /^[\p{L} ]+,\s*[\p{L} ]+$/u.test(piece));
+  if (place) {
+    const [city, state] = place.split(",").map((s) => s.trim());
+    Object.assign(draft, { city, state });
+    Object.assign(confidence, { city: GUESS, state: GUESS });
+  }
+}
+
+function parseExperience(lines, draft, confidence) {
+  const entries = splitEntries(
+    lines,
+    (line, entry) => DATE_RANGE.test(line) && entry.head.some((l) => DATE_RANGE.test(l))
+  );
+
+  draft.experience = entries.map((entry, i) => {
+    const path = `experience[${i}]`;
+    const item = {};
+
+    const range = parseDateRange(entry.head.find((line) => DATE_RANGE.test(line)));
+    if (range) {
+      Object.assign(item, range);
+      for (const [field, value] of Object.entries(range)) {
+        if (value !== null) confidence[`${path}.${field}`] = LIKELY;
+      }
+    }
+
+    const titles = entry.head
+      .map((line) => line.replace(DATE_RANGE, "").replace(/[\s|,–—-]+$/, "").trim())
+      .filter(Boolean);
+
+    let [role, company] = parts(titles[0] || "");
+    if (!company && titles[1]) company = parts(titles[1])[0];
+    // "Acme Corp | Software Engineer": the part with a job title is the role
+    if (company && ROLE_WORDS.test(company) && !ROLE_WORDS.test(role)) {
+      [role, company] = [company, role];
+    }
+
+    const sure = ROLE_WORDS.test(role || "") ? LIKELY : GUESS;
+    if (role) {
+      item.role = role;
+      confidence[`${path}.role`] = sure;
+    }
+    if (company) {
+      item.company = company;
+      confidence[`${path}.company`] = sure;
+    }
+
+    const rest = titles.slice(2);
+    const activities = entry.bullets.length ? entry.bullets : rest;
+    if (activities.length) {
+      item.activities = activities.map((a) => `• ${a}`).join("\n");
+      confidence[`${path}.activities`] = entry.bullets.length ? LIKELY : GUESS;
+    }
+
+    return item;
+  });
+}
+
+function parseEducation(lines, draft, confidence) {
+  const entries = splitEntries(lines, (line, entry) => {
+    const seen = entry.head.join(" ");
+    return (INSTITUTE.test(line) && INSTITUTE.test(seen)) || (DEGREE.test(line) && DEGREE.test(seen));
+  });
+
+  draft.education = entries.map((entry, i) => {
+    const path = `education[${i}]`;
+    const item = {};
+    const lines = [...entry.head, ...entry.bullets];
+    const text = lines.join(" ");
+
+    const institute = lines.flatMap(parts).find((piece) => INSTITUTE.test(piece));
+    item.institute = institute || parts(lines[0])[0];
+    confidence[`${path}.institute`] = institute ? LIKELY : GUESS;
+
+    const degree = text.match(DEGREE);
+    if (degree) {
+      item.eduType = degree[0].trim();
+      confidence[`${path}.eduType`] = LIKELY;
+
+      const after = text.slice(degree.index + degree[0].length);
+      const department = after.match(/^\s*(?:in|-|–|,|\()\s*([^,|()\d]+)/)?.[1]?.trim();
+      if (department && !INSTITUTE.test(department)) {
+        item.department = department;
+        confidence[`${path}.department`] = GUESS;
+      }
+    }
+
+    const years = text.match(YEAR) || [];
+    if (years.length) {
+      item.endYear = years[years.length - 1];
+      confidence[`${path}.endYear`] = LIKELY;
+    }
+    if (years.length > 1) {
+      item.startYear = years[0];
+      confidence[`${path}.startYear`] = LIKELY;
+    }
+
+    // Months only when written as a range, e.g. "Aug 2016 - May 2020"
+    const range = parseDateRange(text);
+    if (range?.start.month) {
+      item.startMonth = range.start.month;
+      confidence[`${path}.startMonth`] = LIKELY;
+    }
+    if (range?.end?.month) {
+      item.endMonth = range.end.month;
+      confidence[`${path}.endMonth`] = LIKELY;
+    }
+
+    const score = text.match(SCORE);
+    if (score) {
+      item.scoreType = score[1] ? score[1].toUpperCase().replace("PERCENTAGE", "Percentage") : "Percentage";
+      item.score = (score[2] || `${score[3]}%`).replace(/\s+/g, "");
+      confidence[`${path}.scoreType`] = LIKELY;
+      confidence[`${path}.score`] = LIKELY;
+    }
+
+    return item;
+  });
+}
+
+function parseProjects(lines, draft, confidence) {
+  // A "Tech stack: ..." line after the bullets still belongs to the project
+  const asBullets = lines.map((line) => (TECH_LINE.test(line) ? `• ${line}` : line));
+
+  draft.projects = splitEntries(asBullets).map((entry, i) => {
+    const path = `projects[${i}]`;
+    const item = {};
+    const all = [...entry.head, ...entry.bullets];
+
+    const link = all.join(" ").match(URL)?.[0];
+    if (link) {
+      item.link = link.startsWith("http") ? link : `https://${link}`;
+      confidence[`${path}.link`] = LIKELY;
+    }
+
+    const techLine = all.map((line) => line.match(TECH_LINE)).find(Boolean);
+    if (techLine) {
+      item.technologies = techLine[2].trim();
+      confidence[`${path}.technologies`] = LIKELY;
+    }
+
+    const isTech = (line) => TECH_LINE.test(line);
+    const [first = "", ...more] = entry.head.filter((line) => !isTech(line));
+    const [name, ...description] = first.replace(URL, "").split(/\s+[-–—|:]\s+/);
+
+    if (name.trim()) {
+      item.name = name.trim();
+      confidence[`${path}.name`] = entry.head.length ? LIKELY : GUESS;
+    }
+
+    const text = [...description, ...more.map((line) => line.replace(URL, ""))]
+      .join(" ")
+      .trim();
+    if (text) {
+      item.description = text;
+      confidence[`${path}.description`] = GUESS;
+    }
+
+    const keyPoints = entry.bullets.filter((line) => !isTech(line));
+    if (keyPoints.length) {
+      item.keyPoints = keyPoints;
+      confidence[`${path}.keyPoints`] = LIKELY;
+    }
+
+    return item;
+  });
+}
+
+function parseCertificates(lines, draft, confidence) {
+  draft.certificates = lines.map((line, i) => {
+    const path = `certificates[${i}]`;
+    const item = {};
+    let rest = line.replace(BULLET, "");
+
+    const credential = rest.match(URL)?.[0];
+    if (credential) {
+      item.credential = credential.startsWith("http") ? credential : `https://${credential}`;
+      confidence[`${path}.credential`] = LIKELY;
+      rest = rest.replace(credential, "");
+    }
+
+    const date = rest.match(SINGLE_DATE)?.[0];
+    if (date) {
+      item.issuedOn = date;
+      confidence[`${path}.issuedOn`] = LIKELY;
+      rest = rest.replace(date, "");
+    }
+
+    const [title, issuedBy] = rest
+      .replace(/[()]/g, " ")
+      .split(/\s+[-–—|]\s+|,\s+|\s+by\s+|\s+from\s+/i)
+      .map((part) => part.trim())
+      .filter(Boolean);
+    if (title) {
+      item.title = title;
+      confidence[`${path}.title`] = LIKELY;
+    }
+    if (issuedBy) {
+      item.issuedBy = issuedBy;
+      confidence[`${path}.issuedBy`] = GUESS;
+    }
+
+    return item;
+  });
+}
+
+function parseSkills(lines, draft, confidence) {
+  // "Frontend: React, Vue" -> drop the short group label
+  const skills = lines
+    .map((line) => line.replace(BULLET, "").replace(/^[^:]{1,25}:\s*/, ""))
+    .flatMap((line) => line.split(/\s*[,;|•·▪]\s*|\s{2,}/))
+    .map((skill) => skill.trim())
+    .filter((skill) => skill.length > 0 && skill.length <= 60);
+
+  const seen = new Set();
+  draft.skills = skills.filter((skill) => {
+    const key = skill.toLowerCase();
+    return !seen.has(key) && seen.add(key);
+  });
+  if (draft.skills.length) confidence.skills = LIKELY;
+}
+
+function parseLanguages(lines, draft, confidence) {
+  draft.languages = lines
+    .flatMap((line) => line.replace(BULLET, "").split(/\s*[,|;•]\s*/))
+    .map((entry) => entry.replace(/\(.*?\)|[-–:].*$/g, "").trim())
+    .filter((language) => language && language.length <= 30)
+    .map((language, i) => {
+      confidence[`languages[${i}].language`] = LIKELY;
+      return { language, read: true, write: true, speak: true };
+    });
+}
+
+// ==============================
+// 🔹 AI pass
+// ==============================
+
+const aiPrompt = (text) => `Extract the resume below into JSON. Use exactly these keys and omit unknown values:
+name, role, emailId, phoneNo, city, state, linkedIn, portfolioLink, summary,
+experience: [{ role, company, start: { year, month (1-12) }, end: { year, month } or null while current, current (boolean), activities }],
+education: [{ institute, eduType (degree), department, startYear, startMonth (1-12), endYear, endMonth, scoreType, score }],
+projects: [{ name, description, link, keyPoints: [string], technologies (comma-separated) }],
+certificates: [{ title, issuedBy, issuedOn, credential (URL) }],
+skills: [string],
+languages: [{ language, read, write, speak (booleans) }].
+Reply with the JSON object only.
+
+Resume:
+"""
+${text.slice(0, MAX_AI_TEXT)}
+"""`;
+
+// The first {...} block of the answer, fitted to the portfolio schema
+function parseAiAnswer(answer) {
+  const json = String(answer).slice(answer.indexOf("{"), answer.lastIndexOf("}") + 1);
+  return fit(portfolioSchema, JSON.parse(json)) || {};
+}
+
+// Confidence for every filled leaf under `path`; string lists count as one field
+function leafPaths(value, path, out = {}) {
+  if (Array.isArray(value) && value.some((v) => v && typeof v === "object")) {
+    value.forEach((item, i) => leafPaths(item, `${path}[${i}]`, out));
+  } else if (value && typeof value === "object" && !Array.isArray(value)) {
+    for (const [key, child] of Object.entries(value)) leafPaths(child, `${path}.${key}`, out);
+  } else if (value !== "" && value !== null && !(Array.isArray(value) && !value.length)) {
+    out[path] = AI_CONFIDENCE;
+  }
+  return out;
+}
+
+const under = (field) => (path) =>
+  path === field || path.startsWith(`${field}[`) || path.startsWith(`${field}.`);
+
+// Takes the AI's value for each field the heuristics were less sure about
+function mergeAi(draft, confidence, sources, ai) {
+  for (const [field, value] of Object.entries(ai)) {
+    const paths = Object.keys(confidence).filter(under(field));
+    const current = paths.length
+      ? paths.reduce((sum, path) => sum + confidence[path], 0) / paths.length
+      : 0;
+    const aiPaths = leafPaths(value, field);
+    if (!Object.keys(aiPaths).length || current >= AI_CONFIDENCE) continue;
+
+    draft[field] = value;
+    for (const path of paths) delete confidence[path];
+    Object.assign(confidence, aiPaths);
+    sources[field] = "ai";
+  }
+}
+
+// ==============================
+// 🔹 Entry point
+// ==============================
+
+/**
+ * Returns { portfolio, confidence, sources, warnings, usedAi }. `sources`
+ * names the fields taken from the AI answer; the rest come from heuristics.
+ */
+export async function parseResumeText(text, { useAi = false } = {}) {
+  const draft = {};
+  const confidence = {};
+  const sources = {};
+  const warnings = [];
+
+  const sections = splitSections(text);
+  parseHeader(sections.header, text, draft, confidence);
+
+  if (sections.summary?.length) {
+    draft.summary = sections.summary.join(" ");
+    confidence.summary = LIKELY;
+  }
+  if (sections.experience) parseExperience(sections.experience, draft, confidence);
+  if (sections.education) parseEducation(sections.education, draft, confidence);
+  if (sections.projects) parseProjects(sections.projects, draft, confidence);
+  if (sections.certificates) parseCertificates(sections.certificates, draft, confidence);
+  if (sections.skills) parseSkills(sections.skills, draft, confidence);
+  if (sections.languages) parseLanguages(sections.languages, draft, confidence);
+
+  if (Object.keys(sections).length === 1) {
+    warnings.push("No section headings were recognised; only contact details were read");
+  }
+
+  let usedAi = false;
+  if (useAi) {
+    try {
+      const answer = await generateWithRetry(aiPrompt(text), 2, { maxTokens: 3000 });
+      mergeAi(draft, confidence, sources, parseAiAnswer(answer));
+      usedAi = true;
+    } catch (err) {
+      console.error("❌ AI resume parsing error:", err.message);
+      warnings.push("AI parsing failed; the draft comes from heuristics only");
+    }
+  }
+
+  for (const field of Object.keys(draft)) sources[field] = sources[field] || "heuristic";
+
+  return {
+    portfolio: fit(portfolioSchema, draft),
+    confidence,
+    sources,
+    warnings,
+    usedAi,
+  };
+}
@@ -0,0 +1,118 @@
+import jwt from "jsonwebtoken";
+import { ObjectId } from "mongodb";
+import { getDB } from "../config/db.js";
+import {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+} from "../config/env.js";
+import { toObjectId } from "../utils/objectId.js";
+import { randomToken, hashToken } from "../utils/tokens.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sessions = () => getDB().collection("sessions");
+
+const newSecret = () => randomToken(48);
+
+/**
+ * Access token: short-lived JWT carrying the session id (sid).
+ * Refresh token: "<sessionId>.<secret>", only the secret's hash is stored.
+ */
+function issueTokens(userId, sessionId, secret) {
+  const token = jwt.sign(
+    { id: userId.toString(), sid: sessionId.toString() },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  return { token, refreshToken: `${sessionId}.${secret}` };
+}
+
+export async function createSession(user, meta = {}) {
+  const secret = newSecret();
+  const now = new Date();
+
+  const { insertedId } = await sessions().insertOne({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: meta.userAgent || null,
+    ip: meta.ip || null,
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+    revokedAt: null,
+  });
+
+  return issueTokens(user._id, insertedId, secret);
+}
+
+/**
+ * Exchanges a refresh token for a new token pair. Returns null when the
+ * token is unknown, expired or revoked.
+ */
+export async function rotateSession(refreshToken) {
+  const [sid, secret] = String(refreshToken || "").split(".");
+  if (!ObjectId.isValid(sid) || !secret) return null;
+
+  const session = await sessions().findOne({ _id: new ObjectId(sid) });
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+
+  if (session.refreshTokenHash !== hashToken(secret)) {
+    // An already-rotated token was replayed: treat it as stolen
+    await revokeSession(session._id);
+    return null;
+  }
+
+  const next = newSecret();
+  const { modifiedCount } = await sessions().updateOne(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash },
+    { $set: { refreshTokenHash: hashToken(next), lastUsedAt: new Date() } }
+  );
+
+  // Lost a race against a concurrent refresh with the same token
+  if (!modifiedCount) return null;
+
+  return issueTokens(session.userId, session._id, next);
+}
+
+export async function isSessionActive(sessionId) {
+  if (!ObjectId.isValid(sessionId)) return false;
+
+  const session = await sessions().findOne(
+    {
+      _id: new ObjectId(sessionId),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { projection: { _id: 1 } }
+  );
+
+  return !!session;
+}
+
+export async function revokeSession(sessionId) {
+  if (!ObjectId.isValid(sessionId)) return;
+
+  await sessions().updateOne(
+    { _id: new ObjectId(sessionId), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+}
+
+// `except` keeps one session (e.g. the caller's) alive
+export async function revokeAllSessions(userId, { except } = {}) {
+  const filter = { userId: toObjectId(userId), revokedAt: null };
+  if (except && ObjectId.isValid(except)) {
+    filter._id = { $ne: new ObjectId(except) };
+  }
+
+  const { modifiedCount } = await sessions().updateMany(
+    filter,
+    { $set: { revokedAt: new Date() } }
+  );
+
+  return modifiedCount;
+}
@@ -0,0 +1,156 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { authenticator as baseAuthenticator } from "otplib";
+import { getDB } from "../config/db.js";
+import { JWT_SECRET, TOTP_ISSUER } from "../config/env.js";
+import { hashToken } from "../utils/tokens.js";
+import { toObjectId } from "../utils/objectId.js";
+
+// Accept the previous/next 30s step to absorb clock drift
+const authenticator = baseAuthenticator.clone({ window: 1 });
+
+const STEP_SECONDS = 30;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = "2fa-login";
+const CHALLENGE_TTL = "5m";
+
+const users = () => getDB().collection("users");
+
+export const isTwoFactorEnabled = (user) => !!user?.twoFactor?.enabled;
+
+// Starts enrollment; the secret only becomes active after activation
+export async function beginEnrollment(user) {
+  const secret = authenticator.generateSecret();
+
+  await users().updateOne(
+    { _id: user._id },
+    { $set: { "twoFactor.pendingSecret": secret } }
+  );
+
+  return {
+    secret,
+    otpauthUri: authenticator.keyuri(user.email, TOTP_ISSUER, secret),
+  };
+}
+
+/**
+ * Checks a 6-digit code against `secret`. Returns the matched time step,
+ * or null. Codes from a step at or before `lastUsedStep` are replays.
+ */
+export function verifyTotp(secret, code, lastUsedStep = -1) {
+  if (!secret || !/^\d{6}$/.test(String(code || "").trim())) return null;
+
+  const delta = authenticator.checkDelta(String(code).trim(), secret);
+  if (delta === null) return null;
+
+  const step = Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+  return step > lastUsedStep ? step : null;
+}
+
+// Plain codes go to the user once; only their hashes are stored
+export function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+const hashRecoveryCode = (code) =>
+  hashToken(String(code).trim().toLowerCase());
+
+export async function activateTwoFactor(user, step) {
+  const { codes, hashes } = generateRecoveryCodes();
+
+  await users().updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        twoFactor: {
+          enabled: true,
+          secret: user.twoFactor.pendingSecret,
+          lastUsedStep: step,
+          recoveryCodes: hashes,
+          enabledAt: new Date(),
+        },
+      },
+    }
+  );
+
+  return codes;
+}
+
+export async function replaceRecoveryCodes(userId) {
+  const { codes, hashes } = generateRecoveryCodes();
+
+  await users().updateOne(
+    { _id: toObjectId(userId) },
+    { $set: { "twoFactor.recoveryCodes": hashes } }
+  );
+
+  return codes;
+}
+
+export async function disableTwoFactor(userId) {
+  await users().updateOne(
+    { _id: toObjectId(userId) },
+    { $unset: { twoFactor: "" } }
+  );
+}
+
+/**
+ * Verifies a TOTP code or a recovery code for an enabled user and records
+ * its use (TOTP step / removes the recovery code). Returns true on success.
+ */
+export async function consumeSecondFactor(user, { code, recoveryCode }) {
+  const tf = user.twoFactor;
+
+  if (code) {
+    const step = verifyTotp(tf.secret, code, tf.lastUsedStep ?? -1);
+    if (step === null) return false;
+
+    // Conditional update so two concurrent requests can't use the same code
+    const { modifiedCount } = await users().updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { "twoFactor.lastUsedStep": { $lt: step } },
+          { "twoFactor.lastUsedStep": { $exists: false } },
+        ],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return modifiedCount > 0;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const { modifiedCount } = await users().updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": hash },
+      { $pull: { "twoFactor.recoveryCodes": hash } }
+    );
+    return modifiedCount > 0;
+  }
+
+  return false;
+}
+
+// Short-lived proof that the password step of login succeeded
+export function createLoginChallenge(user) {
+  return jwt.sign(
+    { id: user._id.toString(), purpose: CHALLENGE_PURPOSE },
+    JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  );
+}
+
+// Returns the user id from a valid challenge, or null
+export function verifyLoginChallenge(token) {
+  try {
+    const decoded = jwt.verify(String(token || ""), JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded.id : null;
+  } catch {
+    return null;
+  }
+}
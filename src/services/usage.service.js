@@ -0,0 +1,48 @@
+import { getDB } from "../config/db.js";
+import { toObjectId } from "../utils/objectId.js";
+
+// Metered actions
+export const USAGE = {
+  AI_GENERATE: "ai.generate",
+  PDF_EXPORT: "pdf.export",
+};
+
+const events = () => getDB().collection("usage_events");
+
+// Never fails the request that is being metered
+export async function recordUsage(userId, type) {
+  try {
+    await events().insertOne({ userId: toObjectId(userId), type, at: new Date() });
+  } catch (err) {
+    console.error("❌ Usage record error:", err.message);
+  }
+}
+
+/**
+ * Usage counts per user and type: { [userId]: { [type]: { total, last30Days } } }
+ */
+export async function usageByUser(userIds) {
+  const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+  const rows = await events()
+    .aggregate([
+      { $match: { userId: { $in: userIds.map(toObjectId) } } },
+      {
+        $group: {
+          _id: { userId: "$userId", type: "$type" },
+          total: { $sum: 1 },
+          last30Days: { $sum: { $cond: [{ $gte: ["$at", since] }, 1, 0] } },
+          lastAt: { $max: "$at" },
+        },
+      },
+    ])
+    .toArray();
+
+  const usage = {};
+  for (const { _id, total, last30Days, lastAt } of rows) {
+    const key = _id.userId.toString();
+    usage[key] = usage[key] || {};
+    usage[key][_id.type] = { total, last30Days, lastAt };
+  }
+  return usage;
+}
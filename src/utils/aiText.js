@@ -0,0 +1,86 @@
+import {
+  experienceRange,
+  sortReverseChronological,
+  formatDateRange,
+  formatDuration,
+} from "./resumeDates.js";
+
+// Writing styles the AI endpoints accept
+export const AI_TONES = ["professional", "friendly", "confident", "enthusiastic", "formal"];
+export const AI_LENGTHS = ["short", "medium", "long"];
+
+// Characters of any one free-text field quoted in a prompt
+const MAX_FIELD = 600;
+
+const clip = (value, max = MAX_FIELD) => {
+  const text = String(value || "").replace(/\s+/g, " ").trim();
+  return text.length > max ? `${text.slice(0, max)}…` : text;
+};
+
+/**
+ * The parts of a resume a writing prompt needs, as plain text lines:
+ * experience newest first with dates, projects, skills and education.
+ * Empty sections are left out.
+ */
+export function describePortfolio(portfolio) {
+  const lines = [];
+
+  if (portfolio.name) lines.push(`Name: ${clip(portfolio.name)}`);
+  if (portfolio.role) lines.push(`Current title: ${clip(portfolio.role)}`);
+
+  const experience = sortReverseChronological(
+    (portfolio.experience || []).filter((e) => e?.role || e?.company),
+    experienceRange
+  );
+  if (experience.length) {
+    lines.push("Experience:");
+    for (const e of experience) {
+      const dates = e.start ? formatDateRange(experienceRange(e)) : formatDuration(e.duration);
+      const title = [e.role, e.company].filter(Boolean).join(" at ");
+      lines.push(`- ${clip(title)}${dates ? ` (${dates})` : ""}${e.activities ? `: ${clip(e.activities)}` : ""}`);
+    }
+  }
+
+  const projects = (portfolio.projects || []).filter((p) => p?.name);
+  if (projects.length) {
+    lines.push("Projects:");
+    for (const p of projects) {
+      const details = [p.description, ...(p.keyPoints || [])].filter(Boolean).join("; ");
+      const tech = p.technologies ? ` [${clip(p.technologies, 200)}]` : "";
+      lines.push(`- ${clip(p.name, 150)}${tech}${details ? `: ${clip(details)}` : ""}`);
+    }
+  }
+
+  const skills = (portfolio.skills || []).filter(Boolean);
+  if (skills.length) lines.push(`Skills: ${clip(skills.join(", "))}`);
+
+  const education = (portfolio.education || []).filter((e) => e?.institute);
+  if (education.length) {
+    lines.push("Education:");
+    for (const e of education) {
+      const degree = [e.eduType === "Other" ? e.eduTypeOther : e.eduType, e.department]
+        .filter(Boolean)
+        .join(", ");
+      lines.push(`- ${clip([degree, e.institute].filter(Boolean).join(" — "), 300)}${e.endYear ? ` (${e.endYear})` : ""}`);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Model output as plain text: no code fences, markdown emphasis or
+ * headings, "Here is your ...:" preambles or wrapping quotes.
+ */
+export function cleanAiText(text) {
+  return String(text || "")
+    .replace(/```[a-z]*\n?/gi, "")
+    .replace(/\*\*?|__/g, "")
+    .replace(/^#+\s*/gm, "")
+    .trim()
+    .replace(/^(?:sure|certainly|of course|here(?:'s| is))\b[^\n]*:\s*\n/i, "")
+    .trim()
+    .replace(/^["“](.*)["”]$/s, "$1")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
@@ -24,3 +24,19 @@ export async function getBrowser() {
     args: ["--no-sandbox", "--disable-setuid-sandbox"],
   });
 }
+
+// A4 PDF of `html` on a new page of an already launched browser
+export async function renderPdf(browser, html) {
+  const page = await browser.newPage();
+  try {
+    await page.setContent(html, { waitUntil: "networkidle0" });
+    const pdf = await page.pdf({
+      format: "A4",
+      printBackground: true,
+      preferCSSPageSize: true,
+    });
+    return Buffer.from(pdf);
+  } finally {
+    await page.close();
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Parses RFC 4180 CSV (quoted fields, "" escapes, line breaks inside
+ * quotes, optional BOM) into objects keyed by the header row.
+ *
+ *   parseCsv('Name,Url\n"Doe, Jane",x') -> [{ Name: "Doe, Jane", Url: "x" }]
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((r) => r.some((cell) => cell.trim()));
+  const keys = header.map((key) => key.trim());
+
+  return records.map((record) =>
+    Object.fromEntries(keys.map((key, i) => [key, (record[i] ?? "").trim()]))
+  );
+}
@@ -0,0 +1,10 @@
+const ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+export const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (ch) => ENTITIES[ch]);
@@ -0,0 +1,3 @@
+// Makes user input safe to embed in a RegExp / Mongo $regex
+export const escapeRegex = (text) =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
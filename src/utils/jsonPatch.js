@@ -0,0 +1,174 @@
+/**
+ * RFC 6902 JSON Patch for plain JSON documents.
+ *
+ *   const { value, errors } = applyJsonPatch(doc, [
+ *     { op: "replace", path: "/summary", value: "..." },
+ *     { op: "move", from: "/projects/2", path: "/projects/0" },
+ *   ]);
+ *
+ * Operations run in order on a copy; if one fails nothing is applied and
+ * errors is [{ path: "body[1]", message }] like schema validation errors.
+ */
+
+const OPS = ["add", "remove", "replace", "move", "copy", "test"];
+
+// Keys that would reach Object.prototype through a plain object
+const FORBIDDEN_KEYS = ["__proto__", "constructor", "prototype"];
+
+const ARRAY_INDEX = /^(0|[1-9]\d*)$/;
+
+class PatchError extends Error {}
+
+const clone = (value) => (value === undefined ? value : structuredClone(value));
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== "object" || typeof b !== "object" || !a || !b) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => Object.hasOwn(b, key) && deepEqual(a[key], b[key]));
+}
+
+// "/experience/0/role" -> ["experience", "0", "role"]; null when malformed
+export function parsePointer(pointer) {
+  if (pointer === "") return [];
+  if (typeof pointer !== "string" || !pointer.startsWith("/")) return null;
+
+  return pointer
+    .slice(1)
+    .split("/")
+    .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+function pointerTo(field, pointer) {
+  const tokens = parsePointer(pointer);
+  if (!tokens) throw new PatchError(`'${field}' must be a JSON Pointer`);
+  if (tokens.some((token) => FORBIDDEN_KEYS.includes(token))) {
+    throw new PatchError(`'${field}' points at a forbidden key`);
+  }
+  return tokens;
+}
+
+function childOf(container, token) {
+  if (Array.isArray(container)) {
+    return ARRAY_INDEX.test(token) ? container[Number(token)] : undefined;
+  }
+  if (container && typeof container === "object" && Object.hasOwn(container, token)) {
+    return container[token];
+  }
+  return undefined;
+}
+
+function get(doc, tokens) {
+  let node = doc;
+  for (const token of tokens) {
+    node = childOf(node, token);
+    if (node === undefined) throw new PatchError(`'/${tokens.join("/")}' does not exist`);
+  }
+  return node;
+}
+
+// Container holding the last token; it must already exist
+function parentOf(doc, tokens) {
+  const parent = get(doc, tokens.slice(0, -1));
+  if (!parent || typeof parent !== "object") {
+    throw new PatchError(`'/${tokens.slice(0, -1).join("/")}' is not an object or array`);
+  }
+  return { parent, key: tokens[tokens.length - 1] };
+}
+
+function arrayIndex(array, key, { append = false } = {}) {
+  if (append && key === "-") return array.length;
+  const max = append ? array.length : array.length - 1;
+  if (!ARRAY_INDEX.test(key) || Number(key) > max) {
+    throw new PatchError(`array index '${key}' is out of range`);
+  }
+  return Number(key);
+}
+
+function add(doc, tokens, value) {
+  if (!tokens.length) return value;
+
+  const { parent, key } = parentOf(doc, tokens);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, { append: true }), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return doc;
+}
+
+function remove(doc, tokens) {
+  if (!tokens.length) throw new PatchError("the whole document can't be removed");
+
+  get(doc, tokens);
+  const { parent, key } = parentOf(doc, tokens);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key), 1);
+  } else {
+    delete parent[key];
+  }
+  return doc;
+}
+
+function applyOne(doc, operation) {
+  if (!operation || typeof operation !== "object" || !OPS.includes(operation.op)) {
+    throw new PatchError(`'op' must be one of: ${OPS.join(", ")}`);
+  }
+
+  const { op } = operation;
+  const path = pointerTo("path", operation.path);
+  const needsValue = ["add", "replace", "test"].includes(op);
+  if (needsValue && operation.value === undefined) {
+    throw new PatchError(`'${op}' needs a 'value'`);
+  }
+
+  switch (op) {
+    case "add":
+      return add(doc, path, clone(operation.value));
+
+    case "remove":
+      return remove(doc, path);
+
+    case "replace":
+      get(doc, path);
+      return add(path.length ? remove(doc, path) : doc, path, clone(operation.value));
+
+    case "move": {
+      const from = pointerTo("from", operation.from);
+      if (path.length > from.length && from.every((token, i) => token === path[i])) {
+        throw new PatchError("can't move a value into one of its own children");
+      }
+      const value = get(doc, from);
+      return add(remove(doc, from), path, value);
+    }
+
+    case "copy": {
+      const value = get(doc, pointerTo("from", operation.from));
+      return add(doc, path, clone(value));
+    }
+
+    case "test":
+      if (!deepEqual(get(doc, path), operation.value)) {
+        throw new PatchError(`test failed for '${operation.path}'`);
+      }
+      return doc;
+  }
+}
+
+export function applyJsonPatch(doc, operations, { root = "body" } = {}) {
+  let value = clone(doc);
+
+  for (const [i, operation] of operations.entries()) {
+    try {
+      value = applyOne(value, operation);
+    } catch (err) {
+      if (!(err instanceof PatchError)) throw err;
+      return { errors: [{ path: `${root}[${i}]`, message: err.message }] };
+    }
+  }
+
+  return { value, errors: [] };
+}
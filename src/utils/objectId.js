@@ -0,0 +1,6 @@
+import { ObjectId } from "mongodb";
+
+// Ids coming from JWTs / params are strings; Mongo stores ObjectIds.
+export function toObjectId(id) {
+  return ObjectId.isValid(id) ? new ObjectId(id) : id;
+}
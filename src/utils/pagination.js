@@ -0,0 +1,17 @@
+// ?page=&limit= → { page, limit, skip } with sane bounds
+export function parsePagination(query, { defaultLimit = 20, maxLimit = 100 } = {}) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(
+    maxLimit,
+    Math.max(1, parseInt(query.limit, 10) || defaultLimit)
+  );
+
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+export const pageInfo = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit),
+});
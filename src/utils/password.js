@@ -0,0 +1,12 @@
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Returns an error message, or null when the password is acceptable
+export function passwordError(password) {
+  if (typeof password !== "string" || !password) {
+    return "Password is required";
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
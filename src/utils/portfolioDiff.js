@@ -0,0 +1,128 @@
+// Which fields make up each section of a resume, for diffs
+const SECTIONS = {
+  personal: [
+    "title",
+    "tags",
+    "name",
+    "role",
+    "city",
+    "state",
+    "pincode",
+    "emailId",
+    "phoneNo",
+    "linkedIn",
+    "portfolioLink",
+  ],
+  summary: ["summary", "gensummary"],
+  availability: [
+    "nationality",
+    "availabilityType",
+    "noticePeriod",
+    "availableFromDate",
+  ],
+};
+
+// List sections and how their items are recognised across versions
+const LIST_SECTIONS = {
+  experience: (e) => [e.role, e.company],
+  projects: (p) => [p.name],
+  education: (e) => [e.institute, e.eduType],
+  certificates: (c) => [c.title],
+  languages: (l) => [l.language],
+};
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+function diffFields(before = {}, after = {}, fields) {
+  const keys = fields || [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return keys
+    .filter((field) => !same(before[field], after[field]))
+    .map((field) => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+}
+
+function itemKey(identity, item, useIds) {
+  if (useIds) return `id:${item.id}`;
+
+  const parts = identity(item || {}).map((v) =>
+    String(v ?? "").trim().toLowerCase()
+  );
+  return JSON.stringify(parts);
+}
+
+/**
+ * Matches items by identity (so reordering is not reported as edits) and
+ * reports added / removed items and field changes of matched ones.
+ */
+function diffList(before, after, identity) {
+  // Sections may be stored as null
+  before ??= [];
+  after ??= [];
+
+  // Snapshots from before items had ids are matched by content instead
+  const useIds = [...before, ...after].every((item) => item?.id);
+
+  const pool = new Map();
+  before.forEach((item, index) => {
+    const key = itemKey(identity, item, useIds);
+    if (!pool.has(key)) pool.set(key, []);
+    pool.get(key).push({ item, index });
+  });
+
+  const added = [];
+  const changed = [];
+  const matchedFrom = [];
+
+  after.forEach((item, index) => {
+    const match = pool.get(itemKey(identity, item, useIds))?.shift();
+    if (!match) return added.push({ index, item });
+
+    matchedFrom.push(match.index);
+    const fields = diffFields(match.item, item).filter((f) => f.field !== "id");
+    if (fields.length) changed.push({ fromIndex: match.index, index, fields });
+  });
+
+  const removed = [...pool.values()].flat().map(({ item, index }) => ({ index, item }));
+  // Kept items no longer in their old relative order
+  const reordered = matchedFrom.some((from, i) => i > 0 && from < matchedFrom[i - 1]);
+
+  return { added, removed, changed, reordered };
+}
+
+function diffSkills(before, after) {
+  before ??= [];
+  after ??= [];
+  return {
+    added: after.filter((s) => !before.includes(s)),
+    removed: before.filter((s) => !after.includes(s)),
+  };
+}
+
+const isEmpty = (section) =>
+  Object.values(section).every((v) => (Array.isArray(v) ? !v.length : !v));
+
+/**
+ * Section-by-section diff of two portfolio contents. Only sections that
+ * changed appear in `sections`; the rest are listed in `unchanged`.
+ */
+export function diffPortfolios(before = {}, after = {}) {
+  const sections = {};
+
+  for (const [name, fields] of Object.entries(SECTIONS)) {
+    sections[name] = { changed: diffFields(before, after, fields) };
+  }
+  for (const [name, identity] of Object.entries(LIST_SECTIONS)) {
+    sections[name] = diffList(before[name], after[name], identity);
+  }
+  sections.skills = diffSkills(before.skills, after.skills);
+
+  const unchanged = [];
+  for (const [name, section] of Object.entries(sections)) {
+    if (isEmpty(section)) {
+      unchanged.push(name);
+      delete sections[name];
+    }
+  }
+
+  return { sections, unchanged };
+}
@@ -0,0 +1,37 @@
+import { roleOf } from "../config/roles.js";
+
+// Fields of a user document that are safe to send to its owner
+const PUBLIC_FIELDS = [
+  "_id",
+  "name",
+  "email",
+  "verified",
+  "emailVerifiedAt",
+  "createdAt",
+  "updatedAt",
+];
+
+export function toPublicUser(user) {
+  const out = {};
+  for (const field of PUBLIC_FIELDS) {
+    if (user[field] !== undefined) out[field] = user[field];
+  }
+  // Legacy accounts have no flag and count as verified
+  out.verified = user.verified !== false;
+  out.role = roleOf(user);
+  out.twoFactorEnabled = !!user.twoFactor?.enabled;
+  if (out.twoFactorEnabled) {
+    out.recoveryCodesLeft = user.twoFactor.recoveryCodes?.length || 0;
+  }
+  return out;
+}
+
+// What admins / reviewers see: the public view plus moderation state
+export function toAdminUser(user) {
+  return {
+    ...toPublicUser(user),
+    disabled: !!user.disabled,
+    disabledAt: user.disabledAt || null,
+    disabledReason: user.disabledReason || null,
+  };
+}
@@ -0,0 +1,196 @@
+export const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+const YEAR = /(?:19|20)\d{2}/;
+const PRESENT = /^(present|current|now|till date|date)$/;
+
+// "Mar 2020", "March 2020", "03/2020" or "2020" inside free text
+const DATE = `(?:(?:${MONTHS.join("|")})[a-z]*\\.?\\s*|\\d{1,2}[/.-])?(?:19|20)\\d{2}`;
+
+// "Mar 2020 - Present", "2019 to 2021", "03/2020 – 06/2022"
+export const DATE_RANGE = new RegExp(
+  `(${DATE})\\s*(?:-|–|—|to)\\s*(${DATE}|present|current|now|till date|date)`,
+  "i"
+);
+export const SINGLE_DATE = new RegExp(DATE, "i");
+
+/**
+ * { year, month } from the ways resumes and exports write dates: "Mar 2020",
+ * "March 2020", "03/2020", "2020-03(-01)" or "2020" (month null).
+ * "Present" / "current" is today. Returns null when there is no year.
+ */
+export function parseMonthYear(value) {
+  const text = String(value ?? "").trim().toLowerCase();
+
+  if (PRESENT.test(text)) {
+    const now = new Date();
+    return { year: now.getFullYear(), month: now.getMonth() + 1 };
+  }
+
+  const year = text.match(YEAR)?.[0];
+  if (!year) return null;
+
+  const named = MONTHS.findIndex((m) => new RegExp(`\\b${m}`).test(text));
+  const iso = text.match(/(?:19|20)\d{2}-(\d{1,2})/)?.[1];
+  const numeric = text.match(/^(\d{1,2})[/.-](?:19|20)\d{2}/)?.[1];
+
+  let month = named >= 0 ? named + 1 : Number(iso || numeric) || null;
+  if (month < 1 || month > 12) month = null;
+
+  return { year: Number(year), month };
+}
+
+/**
+ * { start, end, current } from the first date range in `text`, with end
+ * null for "Present"; null when there is none. That's the shape
+ * experience entries store.
+ */
+export function parseDateRange(text) {
+  const match = String(text ?? "").match(DATE_RANGE);
+  if (!match) return null;
+
+  const start = parseMonthYear(match[1]);
+  const current = PRESENT.test(match[2].trim().toLowerCase());
+  const end = current ? null : parseMonthYear(match[2]);
+  if (!start || (!current && !end)) return null;
+
+  return { start, end, current };
+}
+
+// Months since year 0; a missing month counts as `fallback`
+const monthIndex = ({ year, month }, fallback) => year * 12 + (month || fallback) - 1;
+
+export function experienceRange(item) {
+  const current = !!item?.current;
+  return { start: item?.start || null, end: current ? null : item?.end || null, current };
+}
+
+// Education keeps its years as strings, with optional months beside them
+export function educationRange(item) {
+  const point = (year, month) => {
+    const found = String(year ?? "").match(YEAR)?.[0];
+    return found ? { year: Number(found), month: month || null } : null;
+  };
+  return {
+    start: point(item?.startYear, item?.startMonth),
+    end: point(item?.endYear, item?.endMonth),
+    current: false,
+  };
+}
+
+/**
+ * Copy of `items` newest first: current entries, then by end (or start)
+ * date, ties broken by the later start. Undated entries go last in their
+ * original order.
+ */
+export function sortReverseChronological(items = [], rangeOf) {
+  const keyed = items.map((item, i) => {
+    const { start, end, current } = rangeOf(item);
+    const latest = current ? Infinity : end ? monthIndex(end, 12) : start ? monthIndex(start, 1) : null;
+    return { item, i, latest, earliest: start ? monthIndex(start, 1) : -Infinity };
+  });
+
+  return keyed
+    .sort((a, b) => {
+      if (a.latest === null || b.latest === null) {
+        return (a.latest === null) - (b.latest === null) || a.i - b.i;
+      }
+      // Infinity - Infinity is NaN, which falls through like 0
+      return b.latest - a.latest || b.earliest - a.earliest || a.i - b.i;
+    })
+    .map(({ item }) => item);
+}
+
+/**
+ * Years covered by `ranges`, overlapping periods counted once, rounded to
+ * one decimal. Ranges without a start are skipped; a finished one without
+ * an end counts as its start month.
+ */
+export function totalYears(ranges) {
+  const now = parseMonthYear("present");
+
+  const spans = ranges
+    .filter((range) => range.start)
+    .map(({ start, end, current }) => [
+      monthIndex(start, 1),
+      monthIndex(current ? now : end || start, 12),
+    ])
+    .filter(([from, to]) => to >= from)
+    .sort((a, b) => a[0] - b[0]);
+
+  let months = 0;
+  let covered = -Infinity;
+  for (const [from, to] of spans) {
+    const begin = Math.max(from, covered + 1);
+    if (to >= begin) months += to - begin + 1;
+    covered = Math.max(covered, to);
+  }
+
+  return Math.round((months / 12) * 10) / 10;
+}
+
+// `locale` if Intl supports it, else "en"
+export function resolveLocale(locale) {
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf(String(locale || "en"))[0] || "en";
+  } catch {
+    return "en";
+  }
+}
+
+// "Present" in the languages resumes are most often written in
+const PRESENT_LABELS = {
+  en: "Present",
+  de: "Heute",
+  fr: "Présent",
+  es: "Actualidad",
+  it: "Presente",
+  pt: "Atual",
+  nl: "Heden",
+};
+
+// Label for an ongoing range in `locale`; other languages get Intl's "now"
+export function presentLabel(locale = "en") {
+  const lang = resolveLocale(locale);
+  const label = PRESENT_LABELS[new Intl.Locale(lang).language];
+  if (label) return label;
+
+  const now = new Intl.RelativeTimeFormat(lang, { numeric: "auto" }).format(0, "second");
+  return now.charAt(0).toLocaleUpperCase(lang) + now.slice(1);
+}
+
+/**
+ * "Mar 2020 – Present", "Mar 2020 – Jun 2022" or "2019 – 2021", with
+ * month names and the "Present" label in `locale`. "" when there is no start.
+ */
+export function formatDateRange({ start, end, current }, locale = "en") {
+  if (!start) return "";
+
+  const monthYear = new Intl.DateTimeFormat(resolveLocale(locale), {
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+  const format = (date) =>
+    date.month ? monthYear.format(Date.UTC(date.year, date.month - 1, 1)) : String(date.year);
+
+  const from = format(start);
+  const to = current ? presentLabel(locale) : end ? format(end) : "";
+
+  return to && to !== from ? `${from} – ${to}` : from;
+}
+
+/**
+ * Free-text `duration` of entries saved before structured dates (and the
+ * experience total): a bare number of years ("2.5") gets its unit in
+ * `locale`, anything else ("6 months") is shown as written.
+ */
+export function formatDuration(duration, locale = "en") {
+  const text = String(duration ?? "").trim();
+  if (!/^\d+(\.\d+)?$/.test(text)) return text;
+
+  return new Intl.NumberFormat(resolveLocale(locale), {
+    style: "unit",
+    unit: "year",
+    unitDisplay: "long",
+  }).format(Number(text));
+}
@@ -0,0 +1,148 @@
+/**
+ * Tiny declarative validator for JSON bodies.
+ *
+ *   const schema = t.object({ name: t.string({ max: 100, required: true }) });
+ *   const { value, errors } = validate(schema, req.body);
+ *
+ * - unknown object keys are dropped (which also drops "$"-prefixed keys)
+ * - null is accepted for optional fields and kept as null
+ * - errors are [{ path: "experience[2].company", message }]
+ */
+
+export const t = {
+  string: (opts = {}) => ({ type: "string", max: 500, ...opts }),
+  number: (opts = {}) => ({ type: "number", ...opts }),
+  boolean: (opts = {}) => ({ type: "boolean", ...opts }),
+  array: (items, opts = {}) => ({ type: "array", items, max: 50, ...opts }),
+  object: (shape, opts = {}) => ({ type: "object", shape, ...opts }),
+};
+
+const join = (path, key) =>
+  typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+// Records an error; checkers return its undefined result
+function fail(errors, path, message) {
+  errors.push({ path: path || "body", message });
+  return undefined;
+}
+
+const checkers = {
+  string(rule, value, path, errors) {
+    if (typeof value !== "string") return fail(errors, path, "must be a string");
+    if (value.length > rule.max) {
+      return fail(errors, path, `must be at most ${rule.max} characters`);
+    }
+    if (rule.enum && value && !rule.enum.includes(value)) {
+      return fail(errors, path, `must be one of: ${rule.enum.join(", ")}`);
+    }
+    if (rule.pattern && value && !rule.pattern.test(value)) {
+      return fail(errors, path, rule.patternMessage || "has an invalid format");
+    }
+    return value;
+  },
+
+  number(rule, value, path, errors) {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return fail(errors, path, "must be a number");
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return fail(errors, path, `must be at least ${rule.min}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return fail(errors, path, `must be at most ${rule.max}`);
+    }
+    if (rule.integer && !Number.isInteger(value)) {
+      return fail(errors, path, "must be a whole number");
+    }
+    return value;
+  },
+
+  boolean(rule, value, path, errors) {
+    if (typeof value !== "boolean") return fail(errors, path, "must be true or false");
+    return value;
+  },
+
+  array(rule, value, path, errors) {
+    if (!Array.isArray(value)) return fail(errors, path, "must be an array");
+    if (value.length > rule.max) {
+      return fail(errors, path, `must have at most ${rule.max} items`);
+    }
+    return value.map((item, i) => check(rule.items, item, join(path, i), errors));
+  },
+
+  object(rule, value, path, errors) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      return fail(errors, path, "must be an object");
+    }
+
+    const out = {};
+    for (const [key, child] of Object.entries(rule.shape)) {
+      const cleaned = check(child, value[key], join(path, key), errors);
+      if (cleaned !== undefined) out[key] = cleaned;
+    }
+    return out;
+  },
+};
+
+function check(rule, value, path, errors) {
+  if (value === undefined || value === null) {
+    if (rule.required) fail(errors, path, "is required");
+    return value;
+  }
+
+  return checkers[rule.type](rule, value, path, errors);
+}
+
+/**
+ * `partial: true` skips `required` on the top-level object's fields, for
+ * updates that only send some of them.
+ */
+export function validate(schema, value, { partial = false } = {}) {
+  const errors = [];
+  const rule =
+    partial && schema.type === "object"
+      ? {
+          ...schema,
+          shape: Object.fromEntries(
+            Object.entries(schema.shape).map(([k, r]) => [k, { ...r, required: false }])
+          ),
+        }
+      : schema;
+
+  const cleaned = check(rule, value, "", errors);
+  return { value: cleaned, errors };
+}
+
+/**
+ * Best-effort copy of `value` that passes `schema`: strings and arrays are
+ * cut to their max and anything else invalid is dropped. For drafts built
+ * from parsed documents, not for request bodies.
+ */
+export function fit(schema, value) {
+  if (value === undefined || value === null) return value;
+
+  if (schema.type === "object") {
+    if (typeof value !== "object" || Array.isArray(value)) return undefined;
+
+    const out = {};
+    for (const [key, child] of Object.entries(schema.shape)) {
+      const fitted = fit(child, value[key]);
+      if (fitted !== undefined) out[key] = fitted;
+    }
+    return out;
+  }
+
+  if (schema.type === "array") {
+    if (!Array.isArray(value)) return undefined;
+    return value
+      .slice(0, schema.max)
+      .map((item) => fit(schema.items, item))
+      .filter((item) => item !== undefined);
+  }
+
+  const leaf =
+    schema.type === "string" && typeof value === "string" ? value.slice(0, schema.max) : value;
+  const errors = [];
+  check(schema, leaf, "", errors);
+  return errors.length ? undefined : leaf;
+}
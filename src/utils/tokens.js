@@ -0,0 +1,9 @@
+import crypto from "crypto";
+
+// Opaque random token for links / refresh tokens
+export const randomToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("hex");
+
+// Tokens are only ever stored as SHA-256 hashes
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");